@@ -4,39 +4,71 @@ const morgan = require('morgan');
 const passport = require('passport');
 require('./config/passport')(passport);
 const { specs, swaggerUi } = require('./swagger');
+const { ERROR_CODES, HttpError } = require('./services/errors');
 
 const app = express();
 const formatsLogger = app.get('env') === 'development' ? 'dev' : 'short';
 app.use(cors());
-app.use(express.json());
 app.use(morgan(formatsLogger));
 app.use(passport.initialize());
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 
 const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
 const recommendationRouter = require('./routes/recommendations');
 const searchProductsRouter = require('./routes/searchProducts');
+const customProductsRouter = require('./routes/customProducts');
+const favouritesRouter = require('./routes/favourites');
+const recipesRouter = require('./routes/recipes');
+const mealPlansRouter = require('./routes/mealPlans');
 const diaryRouter = require('./routes/diary');
 const summaryRouter = require('./routes/summery');
+const weightsRouter = require('./routes/weights');
+const adminProductsRouter = require('./routes/adminProducts');
+const adminRestrictionsRouter = require('./routes/adminRestrictions');
+
+// The admin catalogue routes parse their bodies themselves, once the admin role is checked
+app.use('/api/admin/products', adminProductsRouter);
+app.use(express.json());
 
 app.use('/api/auth', authRouter);
+app.use('/api/users', usersRouter);
+app.use('/api/products/custom', customProductsRouter);
+app.use('/api/products/favourites', favouritesRouter);
 app.use('/api/products', recommendationRouter);
 app.use('/api/products', searchProductsRouter);
 app.use('/api/diary', diaryRouter);
+app.use('/api/recipes', recipesRouter);
+app.use('/api/meal-plans', mealPlansRouter);
 app.use('/api', summaryRouter);
+app.use('/api/weights', weightsRouter);
+app.use('/api/admin/restrictions', adminRestrictionsRouter);
 
 app.get('/', (req, res) => {
   res.send('Hello, Swagger!');
 });
 
-app.use((req, res) => {
-  res.status(404).json({ message: 'Not found' });
+app.use((req, res, next) => {
+  next(new HttpError(404, 'Not found'));
 });
 
+// Every error response has the same shape: { code, message, details }
 app.use((err, req, res, next) => {
-    console.error(err);
-  res.status(500).json({ message: err.message });
+  let error = err;
+  if (!(err instanceof HttpError)) {
+    // Errors of the body parsers (invalid JSON, body too large) are safe to show
+    const status = err.expose && err.status < 500 ? err.status : 500;
+    if (status === 500) {
+      console.error(err);
+    }
+    error = new HttpError(status, status === 500 ? 'Internal Server Error' : err.message, {
+      code: err.type === 'entity.parse.failed' ? 'INVALID_JSON' : ERROR_CODES[status]
+    });
+  }
+
+  res.set(error.headers);
+  res.status(error.status).json({ code: error.code, message: error.message, details: error.details });
 });
 
 module.exports = app;
\ No newline at end of file
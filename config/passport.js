@@ -1,6 +1,7 @@
 const passport = require("passport");
 const passportJWT = require("passport-jwt");
 const User = require("../models/user");
+const { isAccessTokenActive } = require("../services/sessions");
 require("dotenv").config();
 
 const ExtractJWT = passportJWT.ExtractJwt;
@@ -17,9 +18,9 @@ module.exports = passport => {
     new Strategy(params, async (payload, done) => {
       try {
         const user = await User.findById(payload.id);
-        if (user) {
+        if (user && await isAccessTokenActive(user, payload)) {
           console.log('User found:', user);
-          return done(null, user);
+          return done(null, user, payload);
         } else {
           return done(null, false);
         }
@@ -1,11 +1,13 @@
 const passport = require('passport');
+const { HttpError } = require('../services/errors');
 
 const auth = (req, res, next) => {
-    passport.authenticate('jwt', { session: false }, (err, user) => {
+    passport.authenticate('jwt', { session: false }, (err, user, payload) => {
         if (err || !user) {
-            return res.status(401).json({ message: "Not authorized" })
+            return next(new HttpError(401, "Not authorized"));
         };
         req.user = user;
+        req.sessionId = payload.sid;
         console.log('Authorized user:', req.user);
         next();
     })(req, res, next);
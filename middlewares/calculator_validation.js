@@ -1,11 +1,6 @@
-const validate = require('../validations/calculator');
+const validateRequest = require('./validate');
+const { validate } = require('../validations/calculator');
 
-const validateCalculator = (req, res, next) => {
-    const { error } = validate(req.body);
-    if (error) {
-        return res.status(400).json({ message: error.details.map(detail => detail.message) });
-    }
-    next()
-};
+const validateCalculator = validateRequest({ body: validate });
 
-module.exports = validateCalculator;
\ No newline at end of file
+module.exports = validateCalculator;
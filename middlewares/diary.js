@@ -1,11 +1,32 @@
-const validate = require('../validations/diary');
-
-const validateDiary = (req, res, next) => {
-    const { error } = validate(req.body);
-    if (error) {
-        return res.status(400).json({ message: error.details.map(detail => detail.message) });
-    }
-    next()
-};
+const validateRequest = require('./validate');
+const {
+    validateConsumed,
+    validateCopy,
+    validateRecentQuery,
+    validateEntryUpdate,
+    validateEntryParams,
+    validateDayParams,
+    validateRemoveParams,
+    validateDayQuery
+} = require('../validations/diary');
+
+const validateConsumedProduct = validateRequest({ body: validateConsumed });
+
+const validateDiaryCopy = validateRequest({ body: validateCopy });
+
+const validateRecentProducts = validateRequest({ query: validateRecentQuery });
 
-module.exports = validateDiary;
\ No newline at end of file
+const validateDiaryEntryUpdate = validateRequest({ params: validateEntryParams, body: validateEntryUpdate });
+
+const validateDiaryRemoval = validateRequest({ params: validateRemoveParams });
+
+const validateDiaryDay = validateRequest({ params: validateDayParams, query: validateDayQuery });
+
+module.exports = {
+    validateConsumedProduct,
+    validateDiaryCopy,
+    validateRecentProducts,
+    validateDiaryEntryUpdate,
+    validateDiaryRemoval,
+    validateDiaryDay
+};
@@ -0,0 +1,17 @@
+const validateRequest = require('./validate');
+const { validateGenerate, validateParams, validateListQuery, validateTransfer } = require('../validations/mealPlans');
+
+const validateMealPlanGenerate = validateRequest({ body: validateGenerate });
+
+const validateMealPlanId = validateRequest({ params: validateParams });
+
+const validateMealPlanList = validateRequest({ query: validateListQuery });
+
+const validateMealPlanTransfer = validateRequest({ params: validateParams, body: validateTransfer });
+
+module.exports = {
+    validateMealPlanGenerate,
+    validateMealPlanId,
+    validateMealPlanList,
+    validateMealPlanTransfer
+};
@@ -1,13 +1,50 @@
-const validate = require('../validations/products');
+const validateRequest = require('./validate');
+const {
+    validate,
+    validateUpdate,
+    validateBulk,
+    validateParams,
+    validateForbiddenQuery,
+    validateSearchQuery,
+    validatePaginationQuery,
+    validateCatalogueQuery,
+    validateAuditQuery,
+    validateImportQuery,
+    validateExportQuery
+} = require('../validations/products');
 
-const validateProduct = (req, res, next) => {
-    const { error } = validate(req.body);
+const validateProduct = validateRequest({ body: validate });
 
-    if (error) {
-        return res.status(400).json({ message: error.details.map(detail => detail.message) });
-    }
-    
-    next();
-};
+const validateProductUpdate = validateRequest({ params: validateParams, body: validateUpdate });
+
+const validateProductId = validateRequest({ params: validateParams });
+
+const validateBulkProducts = validateRequest({ body: validateBulk });
+
+const validateForbiddenProducts = validateRequest({ query: validateForbiddenQuery });
+
+const validateProductSearch = validateRequest({ query: validateSearchQuery });
+
+const validateCatalogueList = validateRequest({ query: validateCatalogueQuery });
 
-module.exports = validateProduct;
\ No newline at end of file
+const validateProductHistory = validateRequest({ params: validateParams, query: validatePaginationQuery });
+
+const validateAuditList = validateRequest({ query: validateAuditQuery });
+
+const validateImport = validateRequest({ query: validateImportQuery });
+
+const validateExport = validateRequest({ query: validateExportQuery });
+
+module.exports = {
+    validateProduct,
+    validateProductUpdate,
+    validateProductId,
+    validateBulkProducts,
+    validateForbiddenProducts,
+    validateProductSearch,
+    validateCatalogueList,
+    validateProductHistory,
+    validateAuditList,
+    validateImport,
+    validateExport
+};
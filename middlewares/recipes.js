@@ -0,0 +1,20 @@
+const validateRequest = require('./validate');
+const { validateCreate, validateUpdate, validateParams, validateListQuery, validateLog } = require('../validations/recipes');
+
+const validateRecipeCreate = validateRequest({ body: validateCreate });
+
+const validateRecipeUpdate = validateRequest({ params: validateParams, body: validateUpdate });
+
+const validateRecipeId = validateRequest({ params: validateParams });
+
+const validateRecipeList = validateRequest({ query: validateListQuery });
+
+const validateRecipeLog = validateRequest({ params: validateParams, body: validateLog });
+
+module.exports = {
+    validateRecipeCreate,
+    validateRecipeUpdate,
+    validateRecipeId,
+    validateRecipeList,
+    validateRecipeLog
+};
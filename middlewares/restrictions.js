@@ -0,0 +1,8 @@
+const validateRequest = require('./validate');
+const { validateRuleParams, validateRule } = require('../validations/restrictions');
+
+const validateRestrictionRule = validateRequest({ params: validateRuleParams, body: validateRule });
+
+const validateRestriction = validateRequest({ params: validateRuleParams });
+
+module.exports = { validateRestrictionRule, validateRestriction };
@@ -0,0 +1,10 @@
+const { HttpError } = require('../services/errors');
+
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return next(new HttpError(403, "Forbidden"));
+    };
+    next();
+};
+
+module.exports = requireRole;
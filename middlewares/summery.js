@@ -1,11 +1,8 @@
-const validate = require('../validations/summery');
+const validateRequest = require('./validate');
+const { validateDayParams, validateDayQuery, validateRangeQuery } = require('../validations/summery');
 
-const validateSummery = (req, res, next) => {
-    const { error } = validate(req.body);
-    if (error) {
-        return res.status(400).json({ message: error.details.map(detail => detail.message) });
-    }
-    next()
-};
+const validateSummaryDay = validateRequest({ params: validateDayParams, query: validateDayQuery });
 
-module.exports = validateSummery;
\ No newline at end of file
+const validateSummaryRange = validateRequest({ query: validateRangeQuery });
+
+module.exports = { validateSummaryDay, validateSummaryRange };
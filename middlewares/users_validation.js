@@ -1,21 +1,42 @@
-const { validateRegistration, validateLogin } = require('../validations/users');
+const validateRequest = require('./validate');
+const {
+    validateRegistration,
+    validateLogin,
+    validateRefresh,
+    validateVerificationToken,
+    validateForgotPassword,
+    validateResetPassword,
+    validateChangePassword,
+    validateProfile,
+    validateSessionParams
+} = require('../validations/users');
 
-const validateSingIn = (req, res, next) => {
-    const { error } = validateRegistration(req.body);
-    if (error) {
-        return res.status(400).json({ message: error.details.map(detail => detail.message) });
-    }
+const validateSingIn = validateRequest({ body: validateRegistration });
 
-    next();
-};
+const validateLogIn = validateRequest({ body: validateLogin });
 
-const validateLogIn = (req, res, next) => {
-    const { error } = validateLogin(req.body);
-    if (error) {
-        return res.status(400).json({ message: error.details.map(detail => detail.message) });
-    }
+const validateRefreshToken = validateRequest({ body: validateRefresh });
 
-    next()
-};
+const validateVerification = validateRequest({ params: validateVerificationToken });
+
+const validateForgot = validateRequest({ body: validateForgotPassword });
+
+const validateReset = validateRequest({ body: validateResetPassword });
 
-module.exports = { validateLogIn, validateSingIn };
+const validatePasswordChange = validateRequest({ body: validateChangePassword });
+
+const validateProfileUpdate = validateRequest({ body: validateProfile });
+
+const validateSessionId = validateRequest({ params: validateSessionParams });
+
+module.exports = {
+    validateLogIn,
+    validateSingIn,
+    validateRefreshToken,
+    validateVerification,
+    validateForgot,
+    validateReset,
+    validatePasswordChange,
+    validateProfileUpdate,
+    validateSessionId
+};
@@ -0,0 +1,31 @@
+const { HttpError } = require('../services/errors');
+
+/**
+ * Validates parts of the request with the validators of `validations/`, keyed by
+ * where the values come from, e.g. `validateRequest({ params: validateEntryId, body: validateEntry })`.
+ * Valid values replace the originals so routes get the defaults and converted types.
+ */
+const validateRequest = validators => (req, res, next) => {
+    const details = [];
+
+    Object.keys(validators).forEach(location => {
+        const { error, value } = validators[location](req[location] || {});
+        if (error) {
+            details.push(...error.details.map(detail => ({
+                location,
+                field: detail.path.join('.'),
+                message: detail.message
+            })));
+        } else {
+            req[location] = value;
+        }
+    });
+
+    if (details.length) {
+        return next(new HttpError(400, details.map(detail => detail.message).join(', '), { code: 'VALIDATION_ERROR', details }));
+    }
+
+    next();
+};
+
+module.exports = validateRequest;
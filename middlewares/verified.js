@@ -0,0 +1,11 @@
+const { isVerificationRequired } = require('../services/verification');
+const { HttpError } = require('../services/errors');
+
+const requireVerified = scope => (req, res, next) => {
+    if (isVerificationRequired(scope) && !req.user.verified) {
+        return next(new HttpError(403, "Please verify your email address first", { code: 'EMAIL_NOT_VERIFIED' }));
+    };
+    next();
+};
+
+module.exports = requireVerified;
@@ -0,0 +1,10 @@
+const validateRequest = require('./validate');
+const { validateCreate, validateUpdate, validateParams } = require('../validations/weights');
+
+const validateWeightCreate = validateRequest({ body: validateCreate });
+
+const validateWeightUpdate = validateRequest({ params: validateParams, body: validateUpdate });
+
+const validateWeightId = validateRequest({ params: validateParams });
+
+module.exports = { validateWeightCreate, validateWeightUpdate, validateWeightId };
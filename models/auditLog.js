@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'promote', 'import'],
+        required: true
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Products',
+        default: null
+    },
+    // Kept so deleted products can still be recognised in the log
+    title: {
+        type: String,
+    },
+    changes: [{
+        _id: false,
+        field: {
+            type: String,
+            required: true
+        },
+        from: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        to: {
+            type: mongoose.Schema.Types.Mixed,
+        }
+    }],
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+    }
+}, {
+    versionKey: false,
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ productId: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
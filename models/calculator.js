@@ -30,6 +30,34 @@ const calculatorSchema = new mongoose.Schema({
             type: String,
             enum: ['0(I)', 'A(II)', 'B(III)', 'AB(IV)'],
             required: true
+        },
+        formula: {
+            type: String,
+            enum: ['slimmom', 'mifflin', 'harris'],
+            default: 'slimmom'
+        },
+        sex: {
+            type: String,
+            enum: ['female', 'male'],
+            default: 'female'
+        },
+        activity: {
+            type: String,
+            enum: ['sedentary', 'light', 'moderate', 'active', 'very_active'],
+        }
+    }],
+    daily_rate: {
+        type: Number,
+    },
+    rateHistory: [{
+        daily_rate: {
+            type: Number,
+            required: true
+        },
+        effectiveFrom: {
+            type: Date,
+            default: Date.now,
+            required: true
         }
     }]
 }, {
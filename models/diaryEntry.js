@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const diaryEntrySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Products", 
+        required: function () {
+            return !this.recipeId;
+        }
+    },
+    // Recipe portions reference the recipe instead of a product
+    recipeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Recipes",
+        default: null
+    },
+    // The recipe's title and values per 100 g when it was logged, so editing the recipe
+    // or its products later does not change what was eaten
+    recipe: {
+        type: new mongoose.Schema({
+            title: String,
+            calories: Number,
+            protein: Number,
+            fat: Number,
+            carbohydrate: Number,
+            fibre: Number,
+            sugar: Number
+        }, { _id: false }),
+        default: undefined
+    },
+    product_weight: {
+        type: Number,
+        required: true
+    },
+    product_Calories: {
+        type: Number,
+        required: true
+    },
+    // Grams of each macro in the logged weight, null when the product does not define it
+    protein: {
+        type: Number,
+        default: null
+    },
+    fat: {
+        type: Number,
+        default: null
+    },
+    carbohydrate: {
+        type: Number,
+        default: null
+    },
+    fibre: {
+        type: Number,
+        default: null
+    },
+    sugar: {
+        type: Number,
+        default: null
+    },
+    meal: {
+        type: String,
+        enum: ['breakfast', 'lunch', 'dinner', 'snack'],
+        default: 'snack'
+    },
+    date: {
+        type: Date,
+        default: Date.now, 
+        required: true,
+    }
+}, {
+    versionKey: false,  
+    timestamps: true 
+});
+
+diaryEntrySchema.index({ userId: 1, date: 1 });
+diaryEntrySchema.index({ userId: 1, productId: 1 });
+
+const DiaryEntry = mongoose.model('DiaryEntry', diaryEntrySchema);
+
+module.exports = DiaryEntry;
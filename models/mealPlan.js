@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const planItemSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Products',
+        required: true
+    },
+    title: {
+        type: String
+    },
+    categories: {
+        type: String
+    },
+    product_weight: {
+        type: Number,
+        required: true
+    },
+    calories: {
+        type: Number,
+        required: true
+    }
+}, {
+    _id: false
+});
+
+const planDaySchema = new mongoose.Schema({
+    // Calendar day ('YYYY-MM-DD') the menu is meant for
+    date: {
+        type: String,
+        required: true
+    },
+    calories: {
+        type: Number,
+        required: true
+    },
+    meals: [{
+        _id: false,
+        meal: {
+            type: String,
+            enum: ['breakfast', 'lunch', 'dinner', 'snack']
+        },
+        calories: {
+            type: Number
+        },
+        items: [planItemSchema]
+    }],
+    // Set once the day has been added to the diary
+    transferredAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    _id: false
+});
+
+const mealPlanSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    period: {
+        type: String,
+        enum: ['day', 'week'],
+        default: 'day'
+    },
+    // Settings the plan was generated with, sending them again with the seed gives the same plan
+    seed: {
+        type: Number,
+        required: true
+    },
+    daily_rate: {
+        type: Number,
+        required: true
+    },
+    tolerance: {
+        type: Number
+    },
+    meals: {
+        type: [String]
+    },
+    excludedCategories: {
+        type: [String],
+        default: []
+    },
+    days: [planDaySchema]
+}, {
+    versionKey: false,
+    timestamps: true
+});
+
+const MealPlan = mongoose.model('MealPlan', mealPlanSchema);
+
+module.exports = MealPlan;
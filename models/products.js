@@ -10,18 +10,79 @@ const productsSchema = new mongoose.Schema({
   title: {
     type: String,
   },
+  // Lowercase words of the title, kept in sync on save, so autocomplete can use an index
+  titleWords: {
+    type: [String],
+    index: true,
+    select: false
+  },
   calories: {
     type: Number,
   },
+  // Macros in grams per 100 g, left empty when unknown
+  protein: {
+    type: Number,
+  },
+  fat: {
+    type: Number,
+  },
+  carbohydrate: {
+    type: Number,
+  },
+  fibre: {
+    type: Number,
+  },
+  sugar: {
+    type: Number,
+  },
   groupBloodNotAllowed: {
     type: [Boolean], 
     required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
   }
 }, {
   versionKey: false,
-  timestamps:true
+  timestamps:true,
+  // titleWords only serves the search, responses leave it out
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.titleWords;
+      return ret;
+    }
+  }
+});
+
+// Used by the product search, a title match counts much more than a category match
+productsSchema.index({ title: 'text', categories: 'text' }, { weights: { title: 10, categories: 1 }, name: 'products_text' });
+
+/**
+ * Lowercase words of a title or search query. Words are separated by spaces, brackets, commas and dashes.
+ */
+productsSchema.statics.titleWords = function (text) {
+  return String(text || '').toLowerCase().split(/[\s(),-]+/).filter(Boolean);
+};
+
+productsSchema.pre('save', function (next) {
+  if (this.isModified('title')) {
+    this.titleWords = this.constructor.titleWords(this.title);
+  }
+  next();
 });
 
+// Shared catalogue products have no owner, custom products are only visible to their owner
+productsSchema.statics.visibleTo = function (userId) {
+  return { $or: [{ owner: null }, { owner: userId }] };
+};
+
 const Products = mongoose.model('Products', productsSchema);
 
 module.exports = Products;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const ingredientSchema = new mongoose.Schema({
+    productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Products',
+        required: true
+    },
+    // Raw weight in grams
+    weight: {
+        type: Number,
+        required: true
+    }
+}, {
+    _id: false
+});
+
+const recipeSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    title: {
+        type: String,
+        required: true,
+        maxLength: 100
+    },
+    ingredients: {
+        type: [ingredientSchema],
+        required: true
+    },
+    servings: {
+        type: Number,
+        default: 1
+    },
+    // Weight of the cooked dish in grams, the raw weight of the ingredients when empty
+    yield_weight: {
+        type: Number,
+        default: null
+    }
+}, {
+    versionKey: false,
+    timestamps: true
+});
+
+const Recipe = mongoose.model('Recipes', recipeSchema);
+
+module.exports = Recipe;
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Categories a diet rules out. Diets without a saved rule use the defaults of services/restrictions
+const restrictionRuleSchema = new mongoose.Schema({
+    restriction: {
+        type: String,
+        enum: ['vegetarian', 'vegan', 'gluten_free', 'lactose_free'],
+        required: true,
+        unique: true
+    },
+    categories: {
+        type: [String],
+        default: []
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    versionKey: false,
+    timestamps: true
+});
+
+const RestrictionRule = mongoose.model('RestrictionRule', restrictionRuleSchema);
+
+module.exports = RestrictionRule;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    device: {
+        type: String,
+        default: 'Unknown device'
+    },
+    ip: {
+        type: String,
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // The last refresh tokens rotated out of this session, capped in services/sessions
+    usedTokenHashes: {
+        type: [String],
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'reuse'],
+    }
+}, {
+    versionKey: false,
+    timestamps: true
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -7,14 +7,12 @@ const summarySchema = new mongoose.Schema({
         required: true  
     },
     summaryInfo: [{
-        diaryId: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: 'Diary', 
-            required: true, 
+        date: {
+            type: String,
+            required: true,
         },
         daily_left: {
             type: Number,
-            required: true,
         },
         daily_consumed: {
             type: Number,
@@ -22,11 +20,9 @@ const summarySchema = new mongoose.Schema({
         },
         daily_rate: {
             type: Number,
-            default: 2800
         },
         percentage: {
             type: Number,
-            required: true,
         }
     }]
 }, {
@@ -24,6 +24,118 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: null,
     },
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user',
+    },
+    profile: {
+        sex: {
+            type: String,
+            enum: ['female', 'male'],
+        },
+        birthDate: {
+            type: Date,
+        },
+        age: {
+            type: Number,
+        },
+        height: {
+            type: Number,
+        },
+        current_weight: {
+            type: Number,
+        },
+        desired_weight: {
+            type: Number,
+        },
+        blood_type: {
+            type: String,
+            enum: ['0(I)', 'A(II)', 'B(III)', 'AB(IV)'],
+        },
+        activity: {
+            type: String,
+            enum: ['sedentary', 'light', 'moderate', 'active', 'very_active'],
+        },
+        formula: {
+            type: String,
+            enum: ['slimmom', 'mifflin', 'harris'],
+        },
+        units: {
+            type: String,
+            enum: ['metric', 'imperial'],
+            default: 'metric',
+        },
+        timezone: {
+            type: String,
+            default: 'UTC',
+        },
+        // Percentages of the daily rate, the defaults from services/nutrition apply when empty
+        macro_targets: {
+            protein: {
+                type: Number,
+            },
+            fat: {
+                type: Number,
+            },
+            carbohydrate: {
+                type: Number,
+            },
+        },
+        // Logging a product not recommended for the blood type only warns, or is refused
+        blood_type_check: {
+            type: String,
+            enum: ['warn', 'reject'],
+            default: 'warn',
+        },
+        // Diets and categories the user does not eat, see services/restrictions
+        restrictions: {
+            diets: {
+                type: [String],
+                enum: ['vegetarian', 'vegan', 'gluten_free', 'lactose_free'],
+                default: [],
+            },
+            excludedCategories: {
+                type: [String],
+                default: [],
+            },
+        },
+    },
+    // Starred products, shown first when logging food
+    favourites: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Products',
+    }],
+    tokenVersion: {
+        type: Number,
+        default: 0,
+    },
+    // Accounts older than email verification are marked by scripts/verify-existing-users.js
+    verified: {
+        type: Boolean,
+        default: false,
+    },
+    verification: {
+        tokenHash: {
+            type: String,
+            index: true,
+        },
+        expiresAt: {
+            type: Date,
+        },
+        lastSentAt: {
+            type: Date,
+        },
+    },
+    passwordReset: {
+        tokenHash: {
+            type: String,
+            index: true,
+        },
+        expiresAt: {
+            type: Date,
+        },
+    },
 }, {
     versionKey: false,
     timestamps: true
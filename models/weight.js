@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const weightSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    date: {
+        type: Date,
+        required: true
+    },
+    weight: {
+        type: Number,
+        required: true
+    },
+    note: {
+        type: String,
+        maxLength: 200
+    }
+}, {
+    versionKey: false,
+    timestamps: true
+});
+
+weightSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+const Weight = mongoose.model('Weight', weightSchema);
+
+module.exports = Weight;
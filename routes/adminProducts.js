@@ -0,0 +1,792 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/products');
+const DiaryEntry = require('../models/diaryEntry');
+const Recipe = require('../models/recipe');
+const auth = require('../middlewares/auth');
+const requireRole = require('../middlewares/role');
+const {
+    validateProduct,
+    validateProductUpdate,
+    validateProductId,
+    validateBulkProducts,
+    validateCatalogueList,
+    validateProductHistory,
+    validateAuditList,
+    validateImport,
+    validateExport
+} = require('../middlewares/products_validation');
+const { parseProducts, importProducts, exportProducts } = require('../services/productCatalogue');
+const { applyChanges, recordChange, listChanges } = require('../services/audit');
+const { MACROS } = require('../services/nutrition');
+const { HttpError } = require('../services/errors');
+
+// Catalogue imports are read as text, so bad files get a proper error and can be larger than requests.
+// It runs after the admin check, so nobody else can make the server read a large body
+const importBody = express.text({ type: ['application/json', 'text/csv'], limit: '10mb' });
+// The router is mounted before the global JSON parser, the other routes read JSON here
+const jsonBody = express.json();
+
+const PRODUCT_FIELDS = ['categories', 'weight', 'title', 'calories', 'groupBloodNotAllowed', ...MACROS];
+
+const findCatalogueProduct = productId => Product.findOne({ _id: productId, owner: null });
+
+// Title and category identify a catalogue product, imports upsert by them, so they must stay unique
+const TITLE_TAKEN = 'A product with this title already exists in the category';
+
+const isTitleTaken = ({ _id, title, categories }) => Product.exists({
+    owner: null,
+    title,
+    categories,
+    ...(_id && { _id: { $ne: _id } })
+});
+
+// Whether the applied changes (see `applyChanges`) touch the title or the category
+const renames = applied => applied.some(change => change.field === 'title' || change.field === 'categories');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "66f1b2c3d4e5f60718293a4b"
+ *         userId:
+ *           type: object
+ *           nullable: true
+ *           description: The admin who made the change, null for command line imports
+ *           properties:
+ *             _id:
+ *               type: string
+ *               example: "66e05e3f00b70bb9b3c184cc"
+ *             name:
+ *               type: string
+ *               example: Popescu Andrei
+ *             email:
+ *               type: string
+ *               example: popescuandrei@example.com
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, promote, import]
+ *           example: update
+ *         productId:
+ *           type: string
+ *           nullable: true
+ *           example: "5d51694802b2373622ff5530"
+ *         title:
+ *           type: string
+ *           example: "Omelet with cheese"
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: calories
+ *               from:
+ *                 example: 342
+ *               to:
+ *                 example: 330
+ *         details:
+ *           type: object
+ *           description: Counts of an import
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-09-23T10:15:00.000Z"
+ */
+
+/**
+ * @swagger
+ * /api/admin/products:
+ *   get:
+ *     summary: List the shared catalogue
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: category
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: number
+ *                   example: 240
+ *                 page:
+ *                   type: number
+ *                   example: 1
+ *                 limit:
+ *                   type: number
+ *                   example: 20
+ *                 totalPages:
+ *                   type: number
+ *                   example: 12
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Invalid page or limit
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       403:
+ *         description: Only admins can manage the catalogue
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Add a product to the shared catalogue
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomProduct'
+ *     responses:
+ *       201:
+ *         description: Product created
+ *       400:
+ *         description: Invalid fields
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       403:
+ *         description: Only admins can manage the catalogue
+ *       409:
+ *         description: A product with this title already exists in the category
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/', auth, requireRole('admin'), validateCatalogueList, async (req, res, next) => {
+    try {
+        const { category, page, limit } = req.query;
+        const filter = { owner: null };
+        if (category) {
+            filter.categories = category;
+        }
+
+        const [total, products] = await Promise.all([
+            Product.countDocuments(filter),
+            Product.find(filter)
+                .sort({ categories: 1, title: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+        ]);
+
+        res.status(200).json({ total, page, limit, totalPages: Math.ceil(total / limit), products });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching products'));
+    }
+});
+
+router.post('/', auth, requireRole('admin'), jsonBody, validateProduct, async (req, res, next) => {
+    try {
+        const fields = {};
+        PRODUCT_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                fields[field] = req.body[field];
+            }
+        });
+
+        if (await isTitleTaken(fields)) {
+            return next(new HttpError(409, TITLE_TAKEN));
+        }
+
+        const product = await Product.create({ ...fields, owner: null, createdBy: req.user._id });
+        await recordChange(req.user._id, 'create', product, {
+            changes: Object.keys(fields).map(field => ({ field, from: null, to: fields[field] }))
+        });
+
+        res.status(201).json({ product });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error creating product'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/bulk:
+ *   post:
+ *     summary: Update or delete many catalogue products at once
+ *     description: >
+ *       Every product is changed and logged on its own. Products that are not in the catalogue
+ *       are reported as not found, and products used in a diary or a recipe are not deleted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - productIds
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [update, delete]
+ *                 example: update
+ *               productIds:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: string
+ *                 example: ["5d51694802b2373622ff5530", "5d51694802b2373622ff5531"]
+ *               changes:
+ *                 description: Fields to set on every product, only for update
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/CustomProduct'
+ *                 example:
+ *                   groupBloodNotAllowed: [null, true, false, false, true]
+ *     responses:
+ *       200:
+ *         description: Bulk operation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 updated:
+ *                   type: number
+ *                   example: 2
+ *                 deleted:
+ *                   type: number
+ *                   example: 0
+ *                 notFound:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 inUse:
+ *                   type: array
+ *                   description: Products that were not deleted because diary entries or recipes use them
+ *                   items:
+ *                     type: string
+ *                 duplicates:
+ *                   type: array
+ *                   description: Products that were not updated because the catalogue already has one with the new title and category
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid fields
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       403:
+ *         description: Only admins can manage the catalogue
+ *       500:
+ *         description: Internal server error
+ */
+
+router.post('/bulk', auth, requireRole('admin'), jsonBody, validateBulkProducts, async (req, res, next) => {
+    try {
+        const { action, productIds, changes } = req.body;
+
+        const products = await Product.find({ _id: { $in: productIds }, owner: null });
+        const found = products.map(product => product._id.toString());
+        const notFound = productIds.filter(productId => !found.includes(productId.toLowerCase()));
+
+        const report = { updated: 0, deleted: 0, notFound, inUse: [], duplicates: [] };
+
+        if (action === 'update') {
+            for (const product of products) {
+                const applied = applyChanges(product, changes, PRODUCT_FIELDS);
+                if (!applied.length) {
+                    continue;
+                }
+                if (renames(applied) && await isTitleTaken(product)) {
+                    report.duplicates.push(product._id.toString());
+                    continue;
+                }
+                await product.save();
+                await recordChange(req.user._id, 'update', product, { changes: applied });
+                report.updated += 1;
+            }
+        } else {
+            const ids = products.map(product => product._id);
+            const [inDiaries, inRecipes] = await Promise.all([
+                DiaryEntry.distinct('productId', { productId: { $in: ids } }),
+                Recipe.distinct('ingredients.productId', { 'ingredients.productId': { $in: ids } })
+            ]);
+            // Recipes also list their other ingredients, only the requested products are reported
+            report.inUse = [...new Set([...inDiaries, ...inRecipes].map(productId => productId.toString()))]
+                .filter(productId => found.includes(productId));
+
+            for (const product of products.filter(item => !report.inUse.includes(item._id.toString()))) {
+                await product.deleteOne();
+                await recordChange(req.user._id, 'delete', product);
+                report.deleted += 1;
+            }
+        }
+
+        res.status(200).json(report);
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error running bulk operation'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/audit:
+ *   get:
+ *     summary: List changes made to the shared catalogue, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: query
+ *         required: false
+ *         description: Only changes made by this admin
+ *         schema:
+ *           type: string
+ *       - name: action
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, promote, import]
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the audit log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: number
+ *                   example: 57
+ *                 page:
+ *                   type: number
+ *                   example: 1
+ *                 limit:
+ *                   type: number
+ *                   example: 20
+ *                 totalPages:
+ *                   type: number
+ *                   example: 3
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *       400:
+ *         description: Invalid filters or pagination
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       403:
+ *         description: Only admins can read the audit log
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/audit', auth, requireRole('admin'), validateAuditList, async (req, res, next) => {
+    try {
+        const { userId, action, page, limit } = req.query;
+
+        const filter = {};
+        if (userId !== undefined) {
+            filter.userId = userId;
+        }
+        if (action !== undefined) {
+            filter.action = action;
+        }
+
+        res.status(200).json(await listChanges(filter, { page, limit }));
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching audit log'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/import:
+ *   post:
+ *     summary: Import products into the shared catalogue
+ *     description: >
+ *       Every row is validated like a custom product and upserted by title and category.
+ *       Invalid rows are skipped and reported with their reasons. CSV files have a header row
+ *       and `groupBloodNotAllowed` as a JSON array, e.g. `"[null,true,false,false,true]"`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: dryRun
+ *         in: query
+ *         required: false
+ *         description: Only report what would be imported
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/CustomProduct'
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "categories,weight,title,calories,groupBloodNotAllowed\neggs,100,Omelet with cheese,342,\"[null,true,true,true,true]\"\n"
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                   example: false
+ *                 total:
+ *                   type: number
+ *                   example: 120
+ *                 inserted:
+ *                   type: number
+ *                   example: 12
+ *                 updated:
+ *                   type: number
+ *                   example: 107
+ *                 rejected:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: number
+ *                         example: 37
+ *                       title:
+ *                         type: string
+ *                         example: "Buckwheat"
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ['"calories" must be a number']
+ *       400:
+ *         description: The file could not be read
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       403:
+ *         description: Only admins can import products
+ *       500:
+ *         description: Internal server error
+ */
+
+router.post('/import', auth, requireRole('admin'), importBody, validateImport, async (req, res, next) => {
+    try {
+        const format = req.is('text/csv') ? 'csv' : 'json';
+
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return next(new HttpError(400, "Send the products as a JSON array or a CSV file"));
+        }
+
+        let rows;
+        try {
+            rows = parseProducts(req.body, format);
+        } catch (error) {
+            return next(new HttpError(400, `Invalid ${format.toUpperCase()}: ${error.message}`));
+        }
+
+        const report = await importProducts(rows, { dryRun: req.query.dryRun, userId: req.user._id });
+
+        res.status(200).json(report);
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error importing products'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/export:
+ *   get:
+ *     summary: Export the shared catalogue
+ *     description: The file can be imported again unchanged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: format
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: The catalogue as a file download
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CustomProduct'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       403:
+ *         description: Only admins can export products
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/export', auth, requireRole('admin'), validateExport, async (req, res, next) => {
+    try {
+        const { format } = req.query;
+
+        const file = await exportProducts(format);
+
+        res.attachment(`products.${format}`);
+        res.type(format);
+        res.status(200).send(file);
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error exporting products'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{productId}:
+ *   get:
+ *     summary: Get a catalogue product
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the product
+ *       403:
+ *         description: Only admins can manage the catalogue
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ *   patch:
+ *     summary: Edit a catalogue product
+ *     description: >
+ *       Typically used to fix `calories`, `categories` or the `groupBloodNotAllowed` flags.
+ *       Diary entries keep the calories they were logged with. The change is written to the audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomProduct'
+ *     responses:
+ *       200:
+ *         description: Product updated
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: Only admins can manage the catalogue
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Another catalogue product already has the new title and category
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a catalogue product
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product deleted
+ *       403:
+ *         description: Only admins can manage the catalogue
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The product is used in diaries or recipes
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/:productId', auth, requireRole('admin'), validateProductId, async (req, res, next) => {
+    try {
+        const product = await findCatalogueProduct(req.params.productId);
+        if (!product) {
+            return next(new HttpError(404, 'Product not found'));
+        }
+
+        res.status(200).json({ product });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching product'));
+    }
+});
+
+router.patch('/:productId', auth, requireRole('admin'), jsonBody, validateProductUpdate, async (req, res, next) => {
+    try {
+        const product = await findCatalogueProduct(req.params.productId);
+        if (!product) {
+            return next(new HttpError(404, 'Product not found'));
+        }
+
+        const applied = applyChanges(product, req.body, PRODUCT_FIELDS);
+        if (renames(applied) && await isTitleTaken(product)) {
+            return next(new HttpError(409, TITLE_TAKEN));
+        }
+        if (applied.length) {
+            await product.save();
+            await recordChange(req.user._id, 'update', product, { changes: applied });
+        }
+
+        res.status(200).json({ product, changes: applied });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error updating product'));
+    }
+});
+
+router.delete('/:productId', auth, requireRole('admin'), validateProductId, async (req, res, next) => {
+    try {
+        const product = await findCatalogueProduct(req.params.productId);
+        if (!product) {
+            return next(new HttpError(404, 'Product not found'));
+        }
+
+        const isUsed = await DiaryEntry.exists({ productId: product._id })
+            || await Recipe.exists({ 'ingredients.productId': product._id });
+        if (isUsed) {
+            return next(new HttpError(409, 'The product is used in diaries or recipes and cannot be deleted'));
+        }
+
+        await product.deleteOne();
+        await recordChange(req.user._id, 'delete', product);
+
+        res.status(200).json({ message: 'Product deleted' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error deleting product'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{productId}/history:
+ *   get:
+ *     summary: List the changes made to one catalogue product, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the history, also for deleted products
+ *       400:
+ *         description: Invalid product ID or pagination
+ *       403:
+ *         description: Only admins can read the audit log
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/:productId/history', auth, requireRole('admin'), validateProductHistory, async (req, res, next) => {
+    try {
+        const { productId } = req.params;
+        const { page, limit } = req.query;
+
+        res.status(200).json(await listChanges({ productId }, { page, limit }));
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching product history'));
+    }
+});
+
+module.exports = router;
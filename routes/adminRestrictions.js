@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/products');
+const RestrictionRule = require('../models/restrictionRule');
+const auth = require('../middlewares/auth');
+const requireRole = require('../middlewares/role');
+const { validateRestrictionRule, validateRestriction } = require('../middlewares/restrictions');
+const { DEFAULT_RULES, getRestrictionRules } = require('../services/restrictions');
+const { HttpError } = require('../services/errors');
+
+/**
+ * @swagger
+ * /api/admin/restrictions:
+ *   get:
+ *     summary: List the categories each diet rules out
+ *     description: Diets without saved categories use the built-in defaults. The categories of the catalogue are listed to pick from.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rules:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   example: { vegetarian: [meat, fish], vegan: [meat, fish, eggs, milk], gluten_free: [flour], lactose_free: [milk] }
+ *                 defaults:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [cereals, eggs, fish, meat, milk]
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         description: Error fetching restriction rules
+ */
+
+router.get('/', auth, requireRole('admin'), async (req, res, next) => {
+    try {
+        const [rules, categories] = await Promise.all([
+            getRestrictionRules(),
+            Product.distinct('categories', { owner: null })
+        ]);
+
+        res.status(200).json({ rules, defaults: DEFAULT_RULES, categories: categories.sort() });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching restriction rules'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/restrictions/{restriction}:
+ *   put:
+ *     summary: Set the categories a diet rules out
+ *     description: Categories are matched ignoring case. The change applies at once to every user with the diet.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: restriction
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [vegetarian, vegan, gluten_free, lactose_free]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - categories
+ *             properties:
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [flour, flour products, cereals]
+ *     responses:
+ *       200:
+ *         description: Rule saved
+ *       400:
+ *         description: Unknown diet or invalid categories
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         description: Error saving restriction rule
+ *   delete:
+ *     summary: Go back to the built-in categories of a diet
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: restriction
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [vegetarian, vegan, gluten_free, lactose_free]
+ *     responses:
+ *       200:
+ *         description: Rule reset
+ *       400:
+ *         description: Unknown diet
+ *       403:
+ *         description: Admin role required
+ *       500:
+ *         description: Error resetting restriction rule
+ */
+
+router.put('/:restriction', auth, requireRole('admin'), validateRestrictionRule, async (req, res, next) => {
+    try {
+        const { restriction } = req.params;
+
+        const rule = await RestrictionRule.findOneAndUpdate(
+            { restriction },
+            { categories: req.body.categories, updatedBy: req.user._id },
+            { new: true, upsert: true }
+        );
+
+        res.status(200).json({ restriction, categories: rule.categories });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error saving restriction rule'));
+    }
+});
+
+router.delete('/:restriction', auth, requireRole('admin'), validateRestriction, async (req, res, next) => {
+    try {
+        const { restriction } = req.params;
+
+        await RestrictionRule.deleteOne({ restriction });
+
+        res.status(200).json({ restriction, categories: DEFAULT_RULES[restriction] });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error resetting restriction rule'));
+    }
+});
+
+module.exports = router;
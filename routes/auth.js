@@ -1,9 +1,21 @@
 const express = require('express')
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/user');
-const { validateLogIn, validateSingIn } =  require('../middlewares/users_validation')
+const {
+    validateLogIn,
+    validateSingIn,
+    validateRefreshToken,
+    validateVerification,
+    validateForgot,
+    validateReset,
+    validatePasswordChange,
+    validateSessionId
+} = require('../middlewares/users_validation');
 const auth = require("../middlewares/auth");
+const { createSession, rotateRefreshToken, listSessions, revokeSession, revokeAllSessions, revokeAllTokens } = require('../services/sessions');
+const { isVerificationRequired, sendVerification, verifyEmail, resendVerification } = require('../services/verification');
+const { requestPasswordReset, resetPassword, changePassword } = require('../services/passwords');
+const { HttpError } = require('../services/errors');
 require('dotenv').config();
 
 /**
@@ -50,7 +62,7 @@ require('dotenv').config();
  *             $ref: '#/components/schemas/User'
  *     responses:
  *       201:
- *         description: The user was successfully created
+ *         description: The user was successfully created and a verification link was emailed. When the email cannot be sent, the link can be requested again from /api/auth/resend-verification
  *         content:
  *           application/json:
  *             schema:
@@ -69,7 +81,7 @@ router.post('/register', validateSingIn, async (req, res, next) => {
 
         const existingUser = await User.findOne({ email: req.body.email });
         if (existingUser) {
-            return res.status(409).json({ message: "Email already registered!" });
+            return next(new HttpError(409, "Email already registered!", { code: 'EMAIL_TAKEN' }));
         };
 
         const newUser = new User({
@@ -79,15 +91,23 @@ router.post('/register', validateSingIn, async (req, res, next) => {
         });
         await newUser.save();
 
+        // The account exists either way, a lost email can be sent again from /resend-verification
+        try {
+            await sendVerification(newUser);
+        } catch (error) {
+            console.error('Sending the verification email failed:', error);
+        }
+
         res.status(201).json({
             user: {
                 name: newUser.name,
                 email: newUser.email,
+                verified: newUser.verified,
             }
         });        
     } catch (err) {
         console.error(err);
-        res.status(500).json({ message: "Internal Server Error" });
+        next(new HttpError(500, "Internal Server Error"));
     }
 });
 
@@ -123,7 +143,12 @@ router.post('/register', validateSingIn, async (req, res, next) => {
  *                   example: Login successful
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
  *                   example: JWT_TOKEN_HERE
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /api/auth/refresh
+ *                   example: REFRESH_TOKEN_HERE
  *                 user:
  *                   type: object
  *                   properties:
@@ -135,6 +160,8 @@ router.post('/register', validateSingIn, async (req, res, next) => {
  *                       example: popescuandrei@example.com
  *       401:
  *         description: Email or password is wrong
+ *       403:
+ *         description: Email not verified yet (only when REQUIRE_VERIFIED_LOGIN is enabled)
  *       500:
  *         description: Internal server error
  */
@@ -146,26 +173,26 @@ router.post('/login', validateLogIn, async (req, res, next) => {
         const user = await User.findOne({ email });
          if (!user) {
             console.error("User not found with email:", email);
-            return res.status(401).json({ message: 'Email or password is wrong' });
+            return next(new HttpError(401, 'Email or password is wrong', { code: 'INVALID_CREDENTIALS' }));
         }
 
         const isPasswordValid = await user.isValidPassword(password);
 
         if (!isPasswordValid) {
             console.error("Invalid password for user:", password);
-            return res.status(401).json({ message: 'Email or password is wrong' });
+            return next(new HttpError(401, 'Email or password is wrong', { code: 'INVALID_CREDENTIALS' }));
         }
 
-        const payload = { id: user._id };
-        console.log("Payload for JWT:", payload);
+        if (isVerificationRequired('login') && !user.verified) {
+            return next(new HttpError(403, 'Please verify your email address first', { code: 'EMAIL_NOT_VERIFIED' }));
+        }
 
-        const token = jwt.sign(payload, process.env.SECRET_KEY, { expiresIn: '3h' });
-        user.token = token;
-        await user.save();
+        const { token, refreshToken } = await createSession(user, req);
 
         res.status(200).json({
             message: "Login successful",
             token,
+            refreshToken,
             user: {
                 name: user.name,
                 email: user.email,
@@ -173,7 +200,7 @@ router.post('/login', validateLogIn, async (req, res, next) => {
         });
     } catch (err) {
         console.error(err);
-        res.status(500).json({ message: "Internal Server Error" });
+        next(new HttpError(500, "Internal Server Error"));
     }
 });
 
@@ -205,7 +232,7 @@ router.post('/login', validateLogIn, async (req, res, next) => {
  *         description: Internal server error
  */
 
-router.get('/current', auth, async (req, res) => {
+router.get('/current', auth, async (req, res, next) => {
     const { name } = req.user;
     res.json({
         user: {
@@ -218,7 +245,7 @@ router.get('/current', auth, async (req, res) => {
  * @swagger
  * /api/auth/logout:
  *   get:
- *     summary: Logs out the current user
+ *     summary: Logs out the current user by ending the session of this device
  *     tags:
  *       - Authentication
  *     security:
@@ -230,20 +257,461 @@ router.get('/current', auth, async (req, res) => {
  *         description: Internal Server Error
  */
 
-router.get('/logout',auth, async (req, res) => {
+router.get('/logout',auth, async (req, res, next) => {
     try {
-       
-        const user = req.user;
-       
-        user.token = null;
-      
-        await user.save();
+        await revokeSession(req.user._id, req.sessionId, 'logout');
         res.status(200).json({ message: 'Successfully logged out' });
     } catch (error) {
-        res.status(500).json({ message: 'Internal Server Error' });
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logs out the current user on every device
+ *     description: Every access and refresh token issued so far stops working immediately.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully logged out everywhere
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Internal Server Error
+ */
+
+router.post('/logout-all', auth, async (req, res, next) => {
+    try {
+        const revoked = await revokeAllTokens(req.user);
+        res.status(200).json({ message: 'Successfully logged out from all devices', revoked });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Refresh tokens are single-use. Sending one that was already used revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: REFRESH_TOKEN_HERE
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                   example: JWT_TOKEN_HERE
+ *                 refreshToken:
+ *                   type: string
+ *                   example: REFRESH_TOKEN_HERE
+ *       400:
+ *         description: Refresh token missing or malformed
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *       500:
+ *         description: Internal server error
+ */
+
+router.post('/refresh', validateRefreshToken, async (req, res, next) => {
+    try {
+        const tokens = await rotateRefreshToken(req.body.refreshToken);
+        if (!tokens) {
+            return next(new HttpError(401, 'Invalid or expired refresh token'));
+        }
+
+        res.status(200).json({
+            token: tokens.token,
+            refreshToken: tokens.refreshToken
+        });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the active sessions (devices) of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                         example: "66e05e3f00b70bb9b3c184ec"
+ *                       device:
+ *                         type: string
+ *                         example: "Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)"
+ *                       ip:
+ *                         type: string
+ *                         example: "::1"
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         example: true
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Revoke all sessions of the current user, on every device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/sessions', auth, async (req, res, next) => {
+    try {
+        const sessions = await listSessions(req.user._id);
+
+        res.status(200).json({
+            sessions: sessions.map(session => ({
+                ...session.toObject(),
+                current: session._id.equals(req.sessionId)
+            }))
+        });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+
+router.delete('/sessions', auth, async (req, res, next) => {
+    try {
+        const revoked = await revokeAllSessions(req.user._id);
+        res.status(200).json({ message: 'All sessions revoked', revoked });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one session of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: sessionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "66e05e3f00b70bb9b3c184ec"
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found or already revoked
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Internal server error
+ */
+
+router.delete('/sessions/:sessionId', auth, validateSessionId, async (req, res, next) => {
+    try {
+        const { sessionId } = req.params;
+
+        const revoked = await revokeSession(req.user._id, sessionId);
+        if (!revoked) {
+            return next(new HttpError(404, 'Session not found'));
+        }
+
+        res.status(200).json({ message: 'Session revoked' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+/**
+ * @swagger
+ * /api/auth/verify/{token}:
+ *   get:
+ *     summary: Confirm the email address with the token received by email
+ *     tags: [Authentication]
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired verification token
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/verify/:token', validateVerification, async (req, res, next) => {
+    try {
+        const isVerified = await verifyEmail(req.params.token);
+        if (!isVerified) {
+            return next(new HttpError(400, 'Invalid or expired verification token'));
+        }
+
+        res.status(200).json({ message: 'Email verified successfully' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send the verification link again
+ *     description: Can be called once per cooldown period (60 seconds by default) for an address.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: popescuandrei@example.com
+ *     responses:
+ *       200:
+ *         description: Verification link sent if the account exists and is not verified
+ *       400:
+ *         description: Invalid email
+ *       429:
+ *         description: Too many requests, retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Internal server error
+ */
+
+router.post('/resend-verification', validateForgot, async (req, res, next) => {
+    try {
+        const retryAfter = await resendVerification(req.body.email);
+        if (retryAfter) {
+            return next(new HttpError(429, `Please wait ${retryAfter} seconds before requesting another email`, {
+                headers: { 'Retry-After': String(retryAfter) }
+            }));
+        }
+
+        res.status(200).json({ message: 'If this email needs verification, a new link has been sent' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Send a password reset link by email
+ *     description: Always answers 200, whether the email is registered or not.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: popescuandrei@example.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Invalid email
+ *       500:
+ *         description: Internal server error
+ */
+
+router.post('/forgot-password', validateForgot, async (req, res, next) => {
+    try {
+        await requestPasswordReset(req.body.email);
+        res.status(200).json({ message: 'If this email is registered, a reset link has been sent' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a token received by email
+ *     description: The token can only be used once. All sessions of the user are ended.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: RESET_TOKEN_HERE
+ *               password:
+ *                 type: string
+ *                 example: new-password
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Invalid, used or expired token
+ *       500:
+ *         description: Internal server error
+ */
+
+router.post('/reset-password', validateReset, async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        const isReset = await resetPassword(token, password);
+        if (!isReset) {
+            return next(new HttpError(400, 'Invalid or expired reset token'));
+        }
+
+        res.status(200).json({ message: 'Password changed successfully' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
     }
 });
 
+/**
+ * @swagger
+ * /api/auth/password:
+ *   patch:
+ *     summary: Change the password of the current user
+ *     description: Other devices are logged out, this one receives a new token pair.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - oldPassword
+ *               - newPassword
+ *             properties:
+ *               oldPassword:
+ *                 type: string
+ *                 example: 123456
+ *               newPassword:
+ *                 type: string
+ *                 example: new-password
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Password changed successfully
+ *                 token:
+ *                   type: string
+ *                   example: JWT_TOKEN_HERE
+ *                 refreshToken:
+ *                   type: string
+ *                   example: REFRESH_TOKEN_HERE
+ *       401:
+ *         description: Old password is wrong, or token missing or invalid
+ *       500:
+ *         description: Internal server error
+ */
+
+router.patch('/password', auth, validatePasswordChange, async (req, res, next) => {
+    try {
+        const { oldPassword, newPassword } = req.body;
+
+        const isChanged = await changePassword(req.user, oldPassword, newPassword);
+        if (!isChanged) {
+            return next(new HttpError(401, 'Old password is wrong'));
+        }
+
+        const { token, refreshToken } = await createSession(req.user, req);
+
+        res.status(200).json({
+            message: 'Password changed successfully',
+            token,
+            refreshToken
+        });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
 
 module.exports = router;
 
@@ -0,0 +1,299 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/products');
+const DiaryEntry = require('../models/diaryEntry');
+const Recipe = require('../models/recipe');
+const auth = require('../middlewares/auth');
+const requireRole = require('../middlewares/role');
+const { validateProduct, validateProductUpdate, validateProductId } = require('../middlewares/products_validation');
+const { MACROS } = require('../services/nutrition');
+const { recordChange } = require('../services/audit');
+const { HttpError } = require('../services/errors');
+
+const PRODUCT_FIELDS = ['categories', 'weight', 'title', 'calories', 'groupBloodNotAllowed', ...MACROS];
+
+const findOwnProduct = (productId, userId) => Product.findOne({ _id: productId, owner: userId });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomProduct:
+ *       type: object
+ *       required:
+ *         - categories
+ *         - weight
+ *         - title
+ *         - calories
+ *         - groupBloodNotAllowed
+ *       properties:
+ *         categories:
+ *           type: string
+ *           example: "homemade"
+ *         weight:
+ *           type: number
+ *           example: 100
+ *         title:
+ *           type: string
+ *           example: "Grandma's plum dumplings"
+ *         calories:
+ *           type: number
+ *           description: Calories per 100 g
+ *           example: 230
+ *         groupBloodNotAllowed:
+ *           type: array
+ *           items:
+ *             type: boolean
+ *             nullable: true
+ *           example: [null, false, true, true, false]
+ *         protein:
+ *           type: number
+ *           nullable: true
+ *           description: Grams of protein per 100 g
+ *           example: 6.4
+ *         fat:
+ *           type: number
+ *           nullable: true
+ *           description: Grams of fat per 100 g
+ *           example: 4.1
+ *         carbohydrate:
+ *           type: number
+ *           nullable: true
+ *           description: Grams of carbohydrate per 100 g
+ *           example: 43.5
+ *         fibre:
+ *           type: number
+ *           nullable: true
+ *           description: Grams of fibre per 100 g
+ *           example: 2.2
+ *         sugar:
+ *           type: number
+ *           nullable: true
+ *           description: Grams of sugar per 100 g
+ *           example: 12.8
+ */
+
+/**
+ * @swagger
+ * /api/products/custom:
+ *   get:
+ *     summary: List the custom products of the current user
+ *     tags: [Custom products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the custom products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Create a custom product, visible only to the current user
+ *     tags: [Custom products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomProduct'
+ *     responses:
+ *       201:
+ *         description: Product created
+ *       400:
+ *         description: Invalid fields
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const products = await Product.find({ owner: req.user._id }).sort({ title: 1 });
+        res.status(200).json({ products });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching custom products'));
+    }
+});
+
+router.post('/', auth, validateProduct, async (req, res, next) => {
+    try {
+        const fields = {};
+        PRODUCT_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                fields[field] = req.body[field];
+            }
+        });
+
+        const product = await Product.create({
+            ...fields,
+            owner: req.user._id,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({ product });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error creating custom product'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/custom/{productId}:
+ *   patch:
+ *     summary: Edit a custom product of the current user
+ *     description: Diary entries keep the calories they were logged with.
+ *     tags: [Custom products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomProduct'
+ *     responses:
+ *       200:
+ *         description: Product updated
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a custom product of the current user
+ *     tags: [Custom products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product deleted
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The product is used in the diary or in a recipe
+ *       500:
+ *         description: Internal server error
+ */
+
+router.patch('/:productId', auth, validateProductUpdate, async (req, res, next) => {
+    try {
+        const product = await findOwnProduct(req.params.productId, req.user._id);
+        if (!product) {
+            return next(new HttpError(404, 'Product not found'));
+        }
+
+        PRODUCT_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                product[field] = req.body[field];
+            }
+        });
+        await product.save();
+
+        res.status(200).json({ product });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error updating custom product'));
+    }
+});
+
+router.delete('/:productId', auth, validateProductId, async (req, res, next) => {
+    try {
+        const product = await findOwnProduct(req.params.productId, req.user._id);
+        if (!product) {
+            return next(new HttpError(404, 'Product not found'));
+        }
+
+        const isUsed = await DiaryEntry.exists({ userId: req.user._id, productId: product._id });
+        if (isUsed) {
+            return next(new HttpError(409, 'The product is used in your diary, remove those entries first'));
+        }
+
+        const inRecipe = await Recipe.exists({ userId: req.user._id, 'ingredients.productId': product._id });
+        if (inRecipe) {
+            return next(new HttpError(409, 'The product is used in your recipes, remove it from them first'));
+        }
+
+        await product.deleteOne();
+
+        res.status(200).json({ message: 'Product deleted' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error deleting custom product'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/custom/{productId}/promote:
+ *   post:
+ *     summary: Move a custom product into the shared catalogue (admin only)
+ *     tags: [Custom products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product promoted
+ *       403:
+ *         description: Only admins can promote products
+ *       404:
+ *         description: Custom product not found
+ *       500:
+ *         description: Internal server error
+ */
+
+router.post('/:productId/promote', auth, requireRole('admin'), validateProductId, async (req, res, next) => {
+    try {
+        const { productId } = req.params;
+
+        const product = await Product.findOne({ _id: productId, owner: { $ne: null } });
+        if (!product) {
+            return next(new HttpError(404, 'Custom product not found'));
+        }
+
+        const owner = product.owner;
+        product.owner = null;
+        await product.save();
+        await recordChange(req.user._id, 'promote', product, { changes: [{ field: 'owner', from: owner, to: null }] });
+
+        res.status(200).json({ message: 'Product added to the catalogue', product });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error promoting custom product'));
+    }
+});
+
+module.exports = router;
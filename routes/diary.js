@@ -1,8 +1,48 @@
 const express = require('express');
 const router = express.Router();
-const Diary = require('../models/diary');
+const DiaryEntry = require('../models/diaryEntry');
 const Product = require('../models/products');
 const auth = require('../middlewares/auth');  
+const requireVerified = require('../middlewares/verified');
+const {
+    validateConsumedProduct,
+    validateDiaryCopy,
+    validateRecentProducts,
+    validateDiaryEntryUpdate,
+    validateDiaryRemoval,
+    validateDiaryDay
+} = require('../middlewares/diary');
+const { getDailyRate, getDailyRateResolver } = require('../services/dailyRate');
+const { getDayEntries, groupByMeal, logProduct, logRecipe, checkProducts, getRecentProducts, getEntriesToCopy } = require('../services/diary');
+const { localDate, localTime, zonedTimeToUtc, addDays, dayRange, resolveTimeZone } = require('../services/timezone');
+const { invalidateSummaries } = require('../services/summary');
+const { scaleNutrients } = require('../services/nutrition');
+const { getBodyParameters } = require('../services/profile');
+const { getBloodTypeIndex, isForbidden } = require('../services/forbiddenProducts');
+const { HttpError } = require('../services/errors');
+
+// Diary entry as sent to the client, with whether its product is in `flagged` (ids of products
+// not recommended for the user's blood type)
+const markNotRecommended = (entry, flagged) => ({
+    ...entry.toObject(),
+    not_recommended: Boolean(entry.productId) && flagged.has(String(entry.productId._id || entry.productId))
+});
+
+// Error details for the logged items whose product is one of `productIds`, pointing at the
+// item in the body: `productId` for a single item, `<index>.productId` in a batch
+const productDetails = (items, batch, productIds, message) => items.reduce((details, item, index) => {
+    if (productIds.some(productId => String(productId) === String(item.productId))) {
+        details.push({ location: 'body', field: batch ? `${index}.productId` : 'productId', message });
+    }
+    return details;
+}, []);
+
+// Refusal of the logged items whose product is one of `products`, for users who reject
+// products not recommended for their blood type
+const notRecommendedError = (items, batch, products) => new HttpError(422, `Not recommended for your blood type: ${products.map(product => product.title).join(', ')}`, {
+    code: 'PRODUCT_NOT_RECOMMENDED',
+    details: productDetails(items, batch, products.map(product => product._id), 'Not recommended for your blood type')
+});
 
 
 /**
@@ -27,6 +67,31 @@ const auth = require('../middlewares/auth');
  *         calories:
  *           type: number
  *           example: 342
+ *         protein:
+ *           type: number
+ *           nullable: true
+ *           description: Grams of protein per 100 g
+ *           example: 13.1
+ *         fat:
+ *           type: number
+ *           nullable: true
+ *           description: Grams of fat per 100 g
+ *           example: 26.4
+ *         carbohydrate:
+ *           type: number
+ *           nullable: true
+ *           description: Grams of carbohydrate per 100 g
+ *           example: 2.3
+ *         fibre:
+ *           type: number
+ *           nullable: true
+ *           description: Grams of fibre per 100 g
+ *           example: 0
+ *         sugar:
+ *           type: number
+ *           nullable: true
+ *           description: Grams of sugar per 100 g
+ *           example: 1.4
  *         groupBloodNotAllowed:
  *           type: array
  *           items:
@@ -42,58 +107,345 @@ const auth = require('../middlewares/auth');
  *     DiaryEntry:
  *       type: object
  *       properties:
+ *         _id:
+ *           type: string
+ *           example: "66e05e3f00b70bb9b3c184ec"
+ *         userId:
+ *           type: string
+ *           example: "66e05e3f00b70bb9b3c184cc"
  *         productId:
  *           type: string
+ *           nullable: true
  *           example: "60c72b2f9b1e8d001f64760b"
+ *         recipeId:
+ *           type: string
+ *           nullable: true
+ *           description: Set instead of productId for recipe portions
+ *         recipe:
+ *           type: object
+ *           description: Title and values per 100 g of the recipe when the portion was logged
+ *           properties:
+ *             title:
+ *               type: string
+ *               example: "Vegetable omelette"
+ *             calories:
+ *               type: number
+ *               example: 171.3
  *         product_weight:
  *           type: number
  *           example: 150
  *         product_Calories:
  *           type: number
  *           example: 404
+ *         protein:
+ *           type: number
+ *           nullable: true
+ *           description: Grams in the logged weight, null when the product has no value
+ *           example: 19.7
+ *         fat:
+ *           type: number
+ *           nullable: true
+ *           example: 39.6
+ *         carbohydrate:
+ *           type: number
+ *           nullable: true
+ *           example: 3.5
+ *         fibre:
+ *           type: number
+ *           nullable: true
+ *           example: 0
+ *         sugar:
+ *           type: number
+ *           nullable: true
+ *           example: 2.1
+ *         meal:
+ *           type: string
+ *           enum: [breakfast, lunch, dinner, snack]
+ *           example: breakfast
  *         date:
  *           type: string
  *           format: date-time
  *           example: "2024-09-12T00:00:00.000Z"
- *     Diary:
+ *         not_recommended:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Only in responses of logging and listing a day, whether the product is not recommended for the user's current blood type
+ *           example: false
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     TimezoneHeader:
+ *       name: X-Timezone
+ *       in: header
+ *       required: false
+ *       description: IANA time zone used for day boundaries, defaults to the one saved on the profile, then UTC
+ *       schema:
+ *         type: string
+ *         example: Europe/Bucharest
+ *   schemas:
+ *     MealGroups:
+ *       type: array
+ *       description: Only returned with groupBy=meal
+ *       items:
+ *         type: object
+ *         properties:
+ *           meal:
+ *             type: string
+ *             example: breakfast
+ *           entries:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/DiaryEntry'
+ *           consumed:
+ *             type: number
+ *             example: 420
+ */
+
+/**
+ * @swagger
+ * /api/diary/consumed:
+ *   post:
+ *     summary: Add a consumed product, or several at once, for today or an earlier day
+ *     description: Send one object to log one product or an array of up to 50 to log several. A batch is only logged when every product in it exists.
+ *     tags: [Diary]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TimezoneHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/ConsumedProduct'
+ *               - type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   $ref: '#/components/schemas/ConsumedProduct'
+ *     responses:
+ *       201:
+ *         description: Successfully added/updated consumed products. An array body gets `diaryEntries` and the daily rate of each day in `daily_rates`
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Consumed product added/updated successfully"
+ *                 daily_rate:
+ *                   type: number
+ *                   nullable: true
+ *                   example: 1433
+ *                 diaryEntry:
+ *                   $ref: '#/components/schemas/DiaryEntry'
+ *                 daily_rates:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: number
+ *                     nullable: true
+ *                   example: { "2024-09-11": 1433 }
+ *                 diaryEntries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DiaryEntry'
+ *                 warnings:
+ *                   type: array
+ *                   description: Logged products not recommended for the user's blood type or against their dietary restrictions
+ *                   items:
+ *                     $ref: '#/components/schemas/DiaryWarning'
+ *       400:
+ *         description: Product ID and weight are required, or the date/time is invalid or in the future
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email not verified yet (only when REQUIRE_VERIFIED_DIARY is enabled)
+ *       404:
+ *         description: Product not found, `details` has an entry for each item whose product is missing (field `productId`, or `<index>.productId` in a batch)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: >
+ *           A product is not recommended for the user's blood type and the profile's `blood_type_check`
+ *           is `reject` (code PRODUCT_NOT_RECOMMENDED). Nothing is logged, `details` has an entry for each such item.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error adding/updating consumed product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ * components:
+ *   schemas:
+ *     DiaryWarning:
  *       type: object
  *       properties:
- *         userId:
+ *         type:
  *           type: string
- *           example: "60c72b2f9b1e8d001f64760b"
- *         entries:
+ *           enum: [blood_type, restriction]
+ *           description: blood_type for products not recommended for the user's blood type, restriction for dietary restrictions
+ *         productId:
+ *           type: string
+ *           example: "5d51694802b2373622ff5530"
+ *         title:
+ *           type: string
+ *           example: "Cottage cheese"
+ *         category:
+ *           type: string
+ *           example: "milk"
+ *         restrictions:
  *           type: array
+ *           description: Only for restriction warnings, the diets that rule the category out or `excluded` for the user's own excluded categories
  *           items:
- *             $ref: '#/components/schemas/DiaryEntry'
+ *             type: string
+ *           example: [vegan, lactose_free]
+ *         blood_type:
+ *           type: string
+ *           description: Only for blood_type warnings
+ *           example: 'A(II)'
+ *     ConsumedProduct:
+ *       type: object
+ *       properties:
+ *         productId:
+ *           type: string
+ *           example: "60c72b2f9b1e8d001f64760b"
+ *         product_weight:
+ *           type: number
+ *           example: 150
+ *         meal:
+ *           type: string
+ *           enum: [breakfast, lunch, dinner, snack]
+ *           default: snack
+ *           description: Logging the same product again in the same meal of the day adds to its weight
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Day to log the product for, in the user's time zone. Defaults to today, future days are rejected
+ *           example: "2024-09-11"
+ *         time:
+ *           type: string
+ *           description: Optional time of day (HH:mm) in the user's time zone
+ *           example: "19:30"
+ *       required:
+ *         - productId
+ *         - product_weight
  */
 
+
+router.post('/consumed', auth, requireVerified('diary'), validateConsumedProduct, async (req, res, next) => {
+    try {
+        const batch = Array.isArray(req.body);
+        const userId = req.user._id;
+        const timeZone = resolveTimeZone(req);
+        const today = localDate(new Date(), timeZone);
+        const items = (batch ? req.body : [req.body]).map(item => ({ ...item, date: item.date || today }));
+
+        if (items.some(item => item.date > today)) {
+            return next(new HttpError(400, "Cannot log products for a future date"));
+        }
+
+        // Every item is checked before the first write, so an unknown or refused product logs nothing.
+        // The writes are not a transaction: a database error part way through keeps the items logged so far
+        const productIds = [...new Set(items.map(item => item.productId))];
+        const products = await Product.find({ _id: { $in: productIds }, ...Product.visibleTo(userId) });
+        const missing = productIds.filter(id => !products.some(product => product._id.equals(id)));
+        if (missing.length) {
+            return next(new HttpError(404, "Product not found", { details: productDetails(items, batch, missing, 'Product not found') }));
+        }
+
+        // Products not recommended for the blood type are refused or logged with a warning, as the user chose.
+        // Products the user's dietary restrictions rule out are logged with a warning
+        const { rejected, warnings, flagged } = await checkProducts(req.user, products);
+        if (rejected) {
+            return next(notRecommendedError(items, batch, rejected));
+        }
+
+        const diaryEntries = [];
+        for (const item of items) {
+            const product = products.find(candidate => candidate._id.equals(item.productId));
+            diaryEntries.push(await logProduct(userId, product, item, timeZone));
+        }
+
+        const dates = [...new Set(items.map(item => item.date))];
+        await invalidateSummaries(userId, dates);
+        await DiaryEntry.populate(diaryEntries, {
+            path: 'productId', 
+            select: 'title' 
+        });
+
+        const rateAt = await getDailyRateResolver(userId);
+
+        if (!batch) {
+            return res.status(201).json({
+                message: "Consumed product added/updated successfully",
+                daily_rate: rateAt(dayRange(items[0].date, timeZone).end),
+                diaryEntry: markNotRecommended(diaryEntries[0], flagged),
+                warnings
+            });
+        }
+
+        return res.status(201).json({
+            message: "Consumed products added/updated successfully",
+            daily_rates: dates.reduce((rates, date) => ({ ...rates, [date]: rateAt(dayRange(date, timeZone).end) }), {}),
+            diaryEntries: diaryEntries.map(entry => markNotRecommended(entry, flagged)),
+            warnings
+        });
+    } catch (error) {
+        console.error(error);
+        return next(new HttpError(500, "Error adding/updating consumed product"));
+    }
+});
+
 /**
  * @swagger
- * /api/diary/consumed:
+ * /api/diary/copy:
  *   post:
- *     summary: Add a consumed product for the current day
+ *     summary: Copy the entries of a day, or of one meal, onto another day
+ *     description: Copies keep their product, weight, meal and time of day. Calories are recalculated from the current product values. Products already logged in the same meal of the target day get the copied weight added.
  *     tags: [Diary]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TimezoneHeader'
  *     requestBody:
- *       required: true
+ *       required: false
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               productId:
+ *               from:
  *                 type: string
- *                 example: "60c72b2f9b1e8d001f64760b"
- *               product_weight:
- *                 type: number
- *                 example: 150
- *             required:
- *               - productId
- *               - product_weight
+ *                 format: date
+ *                 description: Day to copy from, defaults to the day before `to`
+ *                 example: "2024-09-11"
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 description: Day to copy onto, defaults to today. Future days are rejected
+ *                 example: "2024-09-12"
+ *               meal:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner, snack]
+ *                 description: Only copy this meal
+ *               toMeal:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner, snack]
+ *                 description: Log the copied meal under another meal slot
  *     responses:
  *       201:
- *         description: Successfully added/updated consumed product
+ *         description: Entries copied
  *         content:
  *           application/json:
  *             schema:
@@ -101,32 +453,245 @@ const auth = require('../middlewares/auth');
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Consumed product added/updated successfully"
- *                 diaryEntry:
- *                   type: object
- *                   properties:
- *                     _id:
- *                       type: string
- *                       example: "66e05e3f00b70bb9b3c184ec"
- *                     userId:
- *                       type: string
- *                       example: "66e05e3f00b70bb9b3c184cc"
- *                     entries:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/DiaryEntry'
+ *                   example: "Diary entries copied successfully"
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                   example: "2024-09-12"
+ *                 diaryEntries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DiaryEntry'
  *       400:
- *         description: Product ID and weight are required
+ *         description: Invalid days, the same day twice or a future target day
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Nothing logged on the source day or meal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error copying diary entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+router.post('/copy', auth, requireVerified('diary'), validateDiaryCopy, async (req, res, next) => {
+    try {
+        const { meal, toMeal } = req.body;
+        const userId = req.user._id;
+        const timeZone = resolveTimeZone(req);
+        const today = localDate(new Date(), timeZone);
+        const to = req.body.to || today;
+        const from = req.body.from || addDays(to, -1);
+
+        if (to > today) {
+            return next(new HttpError(400, "Cannot log products for a future date"));
+        }
+        if (from === to && (!toMeal || toMeal === meal)) {
+            return next(new HttpError(400, "Cannot copy entries onto themselves"));
+        }
+
+        const entries = await getEntriesToCopy(userId, from, meal, timeZone);
+        const products = await Product.find({
+            _id: { $in: entries.filter(entry => entry.productId).map(entry => entry.productId) },
+            ...Product.visibleTo(userId)
+        });
+
+        // Entries of products deleted since then are not copied, recipe portions are copied as they were logged
+        const copies = entries.filter(entry => entry.recipe || products.some(product => product._id.equals(entry.productId)));
+        if (!copies.length) {
+            return next(new HttpError(404, meal ? `Nothing logged for ${meal} on ${from}` : `Nothing logged on ${from}`));
+        }
+
+        const diaryEntries = [];
+        for (const entry of copies) {
+            const portion = {
+                product_weight: entry.product_weight,
+                meal: toMeal || entry.meal,
+                date: to,
+                time: localTime(entry.date, timeZone)
+            };
+            if (entry.recipe) {
+                diaryEntries.push(await logRecipe(userId, entry, portion, timeZone));
+            } else {
+                const product = products.find(candidate => candidate._id.equals(entry.productId));
+                diaryEntries.push(await logProduct(userId, product, portion, timeZone));
+            }
+        }
+
+        await invalidateSummaries(userId, [to]);
+        await DiaryEntry.populate(diaryEntries, {
+            path: 'productId', 
+            select: 'title' 
+        });
+
+        return res.status(201).json({
+            message: "Diary entries copied successfully",
+            date: to,
+            diaryEntries
+        });
+    } catch (error) {
+        console.error("Error copying diary entries:", error);
+        return next(new HttpError(500, "Error copying diary entries"));
+    }
+});
+
+/**
+ * @swagger
+ * /api/diary/recent:
+ *   get:
+ *     summary: Products logged recently and most often, for quick re-logging
+ *     tags: [Diary]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: days
+ *         in: query
+ *         required: false
+ *         description: How far back the diary is looked at
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 90
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         description: Length of each list
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Recent and frequent products
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
- *                   type: string
- *                   example: "Product ID and weight are required"
+ *                 recent:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RecentProduct'
+ *                 frequent:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RecentProduct'
  *       500:
- *         description: Error adding/updating consumed product
+ *         description: Error fetching recent products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ * components:
+ *   schemas:
+ *     RecentProduct:
+ *       type: object
+ *       properties:
+ *         productId:
+ *           type: string
+ *           example: "60c72b2f9b1e8d001f64760b"
+ *         title:
+ *           type: string
+ *           example: "Omelet with cheese"
+ *         categories:
+ *           type: string
+ *           example: "eggs"
+ *         calories:
+ *           type: number
+ *           example: 342
+ *         count:
+ *           type: integer
+ *           description: Times logged in the period
+ *           example: 12
+ *         lastLoggedAt:
+ *           type: string
+ *           format: date-time
+ *         product_weight:
+ *           type: number
+ *           description: Weight logged last time
+ *           example: 150
+ *         meal:
+ *           type: string
+ *           description: Meal it was logged in last time
+ *           example: breakfast
+ *         favourite:
+ *           type: boolean
+ *           example: true
+ */
+
+router.get('/recent', auth, requireVerified('diary'), validateRecentProducts, async (req, res, next) => {
+    try {
+        const { days, limit } = req.query;
+        const { recent, frequent } = await getRecentProducts(req.user._id, { days, limit });
+
+        const favourites = (req.user.favourites || []).map(String);
+        const withFavourite = item => ({ ...item, favourite: favourites.includes(String(item.productId)) });
+
+        return res.status(200).json({
+            recent: recent.map(withFavourite),
+            frequent: frequent.map(withFavourite)
+        });
+    } catch (error) {
+        console.error("Error fetching recent products:", error);
+        return next(new HttpError(500, "Error fetching recent products"));
+    }
+});
+
+/**
+ * @swagger
+ * /api/diary/entries/{entryId}:
+ *   patch:
+ *     summary: Edit a diary entry in place
+ *     description: The entry keeps its id. Calories are recalculated from the product and the summaries of the old and new day are refreshed.
+ *     tags: [Diary]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: entryId
+ *         in: path
+ *         required: true
+ *         description: ID of the diary entry
+ *         schema:
+ *           type: string
+ *           example: "66e05e3f00b70bb9b3c184ed"
+ *       - $ref: '#/components/parameters/TimezoneHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *                 example: "60c72b2f9b1e8d001f64760b"
+ *               product_weight:
+ *                 type: number
+ *                 example: 200
+ *               meal:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner, snack]
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Moves the entry to another day, keeping its time unless `time` is sent
+ *                 example: "2024-09-11"
+ *               time:
+ *                 type: string
+ *                 example: "08:15"
+ *     responses:
+ *       200:
+ *         description: Entry updated
  *         content:
  *           application/json:
  *             schema:
@@ -134,70 +699,97 @@ const auth = require('../middlewares/auth');
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Error adding/updating consumed product"
+ *                   example: "Diary entry updated successfully"
+ *                 entry:
+ *                   $ref: '#/components/schemas/DiaryEntry'
+ *                 warnings:
+ *                   type: array
+ *                   description: The new product, when it is not recommended for the user's blood type or against their dietary restrictions
+ *                   items:
+ *                     $ref: '#/components/schemas/DiaryWarning'
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Entry or product not found
+ *       422:
+ *         description: >
+ *           The new product is not recommended for the user's blood type and the profile's `blood_type_check`
+ *           is `reject` (code PRODUCT_NOT_RECOMMENDED). The entry is left unchanged.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error updating the diary entry
  */
 
-
-router.post('/consumed', auth, async (req, res) => {
+router.patch('/entries/:entryId', auth, requireVerified('diary'), validateDiaryEntryUpdate, async (req, res, next) => {
     try {
-        const { productId, product_weight } = req.body;
+        const { entryId } = req.params;
+        const { productId, product_weight, meal, date, time } = req.body;
         const userId = req.user._id;
+        const timeZone = resolveTimeZone(req);
 
-        if (!productId || !product_weight) {
-            return res.status(400).json({ message: "Product ID and weight are required" });
+        if (date !== undefined && date > localDate(new Date(), timeZone)) {
+            return next(new HttpError(400, "Cannot log products for a future date"));
         }
 
-        const product = await Product.findById(productId);
-        if (!product) {
-            return res.status(404).json({ message: "Product not found" });
+        const entry = await DiaryEntry.findOne({ _id: entryId, userId });
+        if (!entry) {
+            return next(new HttpError(404, "Diary entry not found"));
         }
 
-        const product_Calories = (product.calories * product_weight) / 100;
+        const previousDay = localDate(entry.date, timeZone);
 
-       
-        let diaryEntry = await Diary.findOne({ userId }).populate({
-            path: 'entries.productId', 
-            select: 'title' 
-        });
+        // Recipe portions are rescaled from the values the recipe had when it was logged
+        let source = entry.recipe;
+        if (source && productId) {
+            return next(new HttpError(400, "A recipe portion cannot be changed into a product"));
+        }
+        let warnings = [];
+        if (!source) {
+            source = await Product.findOne({ _id: productId || entry.productId, ...Product.visibleTo(userId) });
+            if (!source) {
+                return next(new HttpError(404, "Product not found"));
+            }
 
-        if (!diaryEntry) {
-            diaryEntry = new Diary({ userId, entries: [] });
+            // A new product is checked like one logged with POST /consumed
+            if (!source._id.equals(entry.productId)) {
+                const check = await checkProducts(req.user, [source]);
+                if (check.rejected) {
+                    return next(notRecommendedError([req.body], false, check.rejected));
+                }
+                warnings = check.warnings;
+            }
+            entry.productId = source._id;
         }
 
-        const today = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate()));
-
-       
-        const entryIndex = diaryEntry.entries.findIndex(entry => 
-            entry.productId.toString() === productId.toString() &&
-            new Date(entry.date).toISOString().startsWith(today.toISOString().split('T')[0])
-        );
-
-        if (entryIndex > -1) {
-          
-            diaryEntry.entries[entryIndex] = {
-                productId,
-                product_weight,
-                product_Calories,
-                date: new Date()
-            };
-        } else {
-            diaryEntry.entries.push({
-                productId,
-                product_weight,
-                product_Calories,
-                date: new Date()
-            });
+        if (date !== undefined || time !== undefined) {
+            entry.date = zonedTimeToUtc(date || previousDay, time || localTime(entry.date, timeZone), timeZone);
+        }
+        if (meal !== undefined) {
+            entry.meal = meal;
         }
+        if (product_weight !== undefined) {
+            entry.product_weight = product_weight;
+        }
+        Object.assign(entry, scaleNutrients(source, entry.product_weight));
 
-        await diaryEntry.save();
+        await entry.save();
+        await invalidateSummaries(userId, [previousDay, localDate(entry.date, timeZone)]);
+        await entry.populate({
+            path: 'productId', 
+            select: 'title' 
+        });
 
-        return res.status(201).json({
-            message: "Consumed product added/updated successfully",
-            diaryEntry
+        return res.status(200).json({
+            message: "Diary entry updated successfully",
+            entry,
+            warnings
         });
     } catch (error) {
-        console.error(error);
-        return res.status(500).json({ message: "Error adding/updating consumed product" });
+        console.error("Error updating diary entry:", error);
+        return next(new HttpError(500, "Error updating the diary entry"));
     }
 });
 
@@ -216,8 +808,8 @@ router.post('/consumed', auth, async (req, res) => {
  *         description: The date of the diary entry from which the product will be removed
  *         schema:
  *           type: string
- *           format: date-time
- *           example: "2024-09-10T00:00:00.000Z"
+ *           format: date
+ *           example: "2024-09-10"
  *       - name: productId
  *         in: path
  *         required: true
@@ -225,6 +817,7 @@ router.post('/consumed', auth, async (req, res) => {
  *         schema:
  *           type: string
  *           example: "60c72b2f9b1e8d001f64760b"
+ *       - $ref: '#/components/parameters/TimezoneHeader'
  *     responses:
  *       200:
  *         description: Successfully removed consumed product
@@ -241,69 +834,37 @@ router.post('/consumed', auth, async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Product not found in diary for this date!"
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Error removing consumed product
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Failed to delete product!"
+ *               $ref: '#/components/schemas/Error'
  */
 
 
 
 
-router.delete('/remove/:date/:productId', auth, async (req, res) => {
+router.delete('/remove/:date/:productId', auth, requireVerified('diary'), validateDiaryRemoval, async (req, res, next) => {
     try {
         const { date, productId } = req.params;
         const userId = req.user._id;
+        const timeZone = resolveTimeZone(req);
 
-        console.log('Received date:', date);
-        console.log('Received productId:', productId);
-
-        const inputDate = new Date(date);
-        const startDate = new Date(Date.UTC(inputDate.getUTCFullYear(), inputDate.getUTCMonth(), inputDate.getUTCDate()));
-        const endDate = new Date(Date.UTC(inputDate.getUTCFullYear(), inputDate.getUTCMonth(), inputDate.getUTCDate() + 1, 23, 59, 59, 999));
+        const { start, end } = dayRange(date, timeZone);
 
-        console.log('Searching between:', startDate.toISOString(), 'and', endDate.toISOString());
-
-       
-        const diaryEntry = await Diary.findOne({
+        const diaryEntry = await DiaryEntry.findOneAndDelete({
+            _id: productId,
             userId,
-            'entries.date': {
-                $gte: startDate,
-                $lte: endDate
-            }
-        }).populate({
-            path: 'entries.productId', 
-            select: 'title'
+            date: { $gte: start, $lte: end }
         });
 
         if (!diaryEntry) {
-            console.log('No diary entry found for this userId and date');
-            return res.status(404).json({ message: "Diary entry not found for this date!" });
-        }
-
-       
-        const entryIndex = diaryEntry.entries.findIndex(entry =>
-            entry._id.toString() === productId.toString()
-        );
-
-        if (entryIndex === -1) {
-            console.log('Product not found in diary entry');
-            return res.status(404).json({ message: `Product not found in diary for this date!` });
+            return next(new HttpError(404, `Product not found in diary for this date!`));
         }
 
-        diaryEntry.entries.splice(entryIndex, 1);
-        await diaryEntry.save();
+        await invalidateSummaries(userId, [date]);
 
         return res.status(200).json({
             message: "Consumed product removed successfully!",
@@ -312,7 +873,7 @@ router.delete('/remove/:date/:productId', auth, async (req, res) => {
 
     } catch (error) {
         console.error("Error deleting product:", error);
-        return res.status(500).json({ error: 'Failed to delete product!' });
+        return next(new HttpError(500, 'Failed to delete product!'));
     }
 });
 
@@ -332,6 +893,14 @@ router.delete('/remove/:date/:productId', auth, async (req, res) => {
  *         schema:
  *           type: string
  *           example: "2024-09-12"
+ *       - name: groupBy
+ *         in: query
+ *         required: false
+ *         description: Also return the entries grouped by meal slot with per-meal subtotals
+ *         schema:
+ *           type: string
+ *           enum: [meal]
+ *       - $ref: '#/components/parameters/TimezoneHeader'
  *     responses:
  *       200:
  *         description: Successfully retrieved consumed products
@@ -344,6 +913,10 @@ router.delete('/remove/:date/:productId', auth, async (req, res) => {
  *                   type: string
  *                   format: date
  *                   example: "2024-09-12"
+ *                 daily_rate:
+ *                   type: number
+ *                   nullable: true
+ *                   example: 1433
  *                 consumedProducts:
  *                   type: array
  *                   items:
@@ -358,79 +931,63 @@ router.delete('/remove/:date/:productId', auth, async (req, res) => {
  *                       product_Calories:
  *                         type: number
  *                         example: 171
+ *                       meal:
+ *                         type: string
+ *                         example: breakfast
  *                       date:
  *                         type: string
  *                         format: date-time
  *                         example: "2024-09-12T00:00:00.000Z"
+ *                       not_recommended:
+ *                         type: boolean
+ *                         description: The product is not recommended for the user's blood type
+ *                         example: false
+ *                 meals:
+ *                   $ref: '#/components/schemas/MealGroups'
  *       404:
  *         description: No diary entry found for the specified date
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "No diary entry found for this date."
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Error fetching consumed products
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Error fetching consumed products"
+ *               $ref: '#/components/schemas/Error'
  */
 
 
 
 
-router.get('/consumed/:date', auth, async (req, res) => {
+router.get('/consumed/:date', auth, requireVerified('diary'), validateDiaryDay, async (req, res, next) => {
     try {
+        const { groupBy } = req.query;
         const { date } = req.params;
         const userId = req.user._id;
 
-        
-         const inputDate = new Date(date);
-         const startDate = new Date(Date.UTC(inputDate.getUTCFullYear(), inputDate.getUTCMonth(), inputDate.getUTCDate()));
-        const endDate = new Date(Date.UTC(inputDate.getUTCFullYear(), inputDate.getUTCMonth(), inputDate.getUTCDate() + 1, 23, 59, 59, 999));
-
-        console.log('Start Date:', startDate.toISOString());
-        console.log('End Date:', endDate.toISOString());
+        const { start, end } = dayRange(date, resolveTimeZone(req));
 
-       
-        const diaryEntries = await Diary.findOne({
-            userId,
-            'entries.date': {
-                $gte: startDate,
-                $lte: endDate
-            }
-        }).populate({
-            path: 'entries.productId', 
-            select: 'title' 
-        });
-
-        if (!diaryEntries || diaryEntries.entries.length === 0) {
-            return res.status(200).json({
-                date,
-                consumedProducts: []
-            });
-        }
+        const entries = await getDayEntries(userId, { start, end });
+        const daily_rate = await getDailyRate(userId, end);
 
-       
-        const filteredEntries = diaryEntries.entries.filter(entry =>
-            new Date(entry.date).toDateString() === new Date(date).toDateString()
-        );
+        const { blood_type } = await getBodyParameters(req.user);
+        const bloodIndex = getBloodTypeIndex(blood_type);
+        const products = await Product.find({ _id: { $in: entries.filter(entry => entry.productId).map(entry => entry.productId._id) } })
+            .select('groupBloodNotAllowed');
+        const flagged = new Set(products.filter(product => isForbidden(product, bloodIndex)).map(product => String(product._id)));
+        const consumedProducts = entries.map(entry => markNotRecommended(entry, flagged));
 
         return res.status(200).json({
             date,
-            consumedProducts: filteredEntries
+            daily_rate,
+            consumedProducts,
+            ...(groupBy && { meals: groupByMeal(consumedProducts) })
         });
     } catch (error) {
         console.error("Error fetching consumed products:", error);
-        return res.status(500).json({ message: "Error fetching consumed products" });
+        return next(new HttpError(500, "Error fetching consumed products"));
     }
 });
 
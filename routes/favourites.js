@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/products');
+const User = require('../models/user');
+const auth = require('../middlewares/auth');
+const { validateProductId } = require('../middlewares/products_validation');
+const { HttpError } = require('../services/errors');
+
+/**
+ * @swagger
+ * /api/products/favourites:
+ *   get:
+ *     summary: List the products starred by the current user
+ *     tags: [Favourites]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Starred products sorted by title. Products deleted since they were starred are left out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Error fetching favourite products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const products = await Product.find({
+            _id: { $in: req.user.favourites || [] },
+            ...Product.visibleTo(req.user._id)
+        }).sort({ title: 1 });
+
+        res.status(200).json({ products });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching favourite products'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/products/favourites/{productId}:
+ *   put:
+ *     summary: Star a product
+ *     tags: [Favourites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "5d51694802b2373622ff5530"
+ *     responses:
+ *       200:
+ *         description: Product starred, starring it again changes nothing
+ *       400:
+ *         description: Invalid product ID
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Error adding favourite product
+ *   delete:
+ *     summary: Unstar a product
+ *     tags: [Favourites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: productId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "5d51694802b2373622ff5530"
+ *     responses:
+ *       200:
+ *         description: Product unstarred
+ *       400:
+ *         description: Invalid product ID
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Error removing favourite product
+ */
+
+router.put('/:productId', auth, validateProductId, async (req, res, next) => {
+    try {
+        const product = await Product.findOne({ _id: req.params.productId, ...Product.visibleTo(req.user._id) });
+        if (!product) {
+            return next(new HttpError(404, 'Product not found'));
+        }
+
+        await User.updateOne({ _id: req.user._id }, { $addToSet: { favourites: product._id } });
+
+        res.status(200).json({ message: 'Product added to favourites', product });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error adding favourite product'));
+    }
+});
+
+router.delete('/:productId', auth, validateProductId, async (req, res, next) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $pull: { favourites: req.params.productId } });
+
+        res.status(200).json({ message: 'Product removed from favourites' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error removing favourite product'));
+    }
+});
+
+module.exports = router;
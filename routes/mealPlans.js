@@ -0,0 +1,508 @@
+const express = require('express');
+const router = express.Router();
+const MealPlan = require('../models/mealPlan');
+const Product = require('../models/products');
+const DiaryEntry = require('../models/diaryEntry');
+const auth = require('../middlewares/auth');
+const requireVerified = require('../middlewares/verified');
+const {
+    validateMealPlanGenerate,
+    validateMealPlanId,
+    validateMealPlanList,
+    validateMealPlanTransfer
+} = require('../middlewares/mealPlans');
+const { PERIOD_DAYS, randomSeed, findPlanProducts, generatePlan } = require('../services/mealPlans');
+const { getBodyParameters } = require('../services/profile');
+const { getBloodTypeIndex } = require('../services/forbiddenProducts');
+const { getRestrictedCategories } = require('../services/restrictions');
+const { getDailyRate } = require('../services/dailyRate');
+const { logProduct } = require('../services/diary');
+const { localDate, dayRange, resolveTimeZone } = require('../services/timezone');
+const { invalidateSummaries } = require('../services/summary');
+const { HttpError } = require('../services/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MealPlan:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "66f2b3c4d5e6f708192a3b4c"
+ *         period:
+ *           type: string
+ *           enum: [day, week]
+ *         seed:
+ *           type: integer
+ *           description: Generating again with this seed and the same settings gives the same plan
+ *           example: 421337
+ *         daily_rate:
+ *           type: number
+ *           example: 1850
+ *         tolerance:
+ *           type: number
+ *           example: 5
+ *         meals:
+ *           type: array
+ *           items:
+ *             type: string
+ *         excludedCategories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         days:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               calories:
+ *                 type: number
+ *                 example: 1832.5
+ *               transferredAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               meals:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     meal:
+ *                       type: string
+ *                       example: lunch
+ *                     calories:
+ *                       type: number
+ *                       example: 641.2
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           productId:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           categories:
+ *                             type: string
+ *                           product_weight:
+ *                             type: number
+ *                             example: 150
+ *                           calories:
+ *                             type: number
+ *                             example: 213.5
+ */
+
+/**
+ * @swagger
+ * /api/meal-plans/generate:
+ *   post:
+ *     summary: Generate and save a menu for a day or a week
+ *     description: >
+ *       Picks products allowed for the user's blood type and dietary restrictions, spreads the daily rate over the meal slots
+ *       (breakfast 25%, lunch 35%, dinner 30%, snack 10%) and keeps every day within the tolerance.
+ *       The response includes the seed, sending it again with the same settings gives the same plan.
+ *     tags: [Meal plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TimezoneHeader'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               period:
+ *                 type: string
+ *                 enum: [day, week]
+ *                 default: day
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of the plan, defaults to today
+ *               tolerance:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 20
+ *                 default: 5
+ *                 description: Allowed difference from the daily rate, in percent
+ *               meals:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [breakfast, lunch, dinner, snack]
+ *                 description: Meal slots to plan, all four by default
+ *               excludedCategories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Categories to leave out on top of those ruled out by the dietary restrictions
+ *                 example: ["fish", "alcoholic drinks"]
+ *               seed:
+ *                 type: integer
+ *                 description: Random when not sent
+ *                 example: 421337
+ *     responses:
+ *       201:
+ *         description: Plan generated and saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 plan:
+ *                   $ref: '#/components/schemas/MealPlan'
+ *       400:
+ *         description: Invalid fields, or the blood type or daily rate is not known yet (codes BLOOD_TYPE_MISSING, DAILY_RATE_MISSING)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: Not enough allowed products to stay within the tolerance (code PLAN_NOT_POSSIBLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error generating meal plan
+ */
+
+router.post('/generate', auth, validateMealPlanGenerate, async (req, res, next) => {
+    try {
+        const { period, tolerance, meals, excludedCategories } = req.body;
+        const userId = req.user._id;
+        const seed = req.body.seed ?? randomSeed();
+        const timeZone = resolveTimeZone(req);
+        const startDate = req.body.startDate || localDate(new Date(), timeZone);
+
+        const { blood_type } = await getBodyParameters(req.user);
+        const bloodIndex = getBloodTypeIndex(blood_type);
+        if (bloodIndex === -1) {
+            return next(new HttpError(400, 'Save your blood type in the calculator to generate a meal plan', { code: 'BLOOD_TYPE_MISSING' }));
+        }
+
+        const dailyRate = await getDailyRate(userId, dayRange(startDate, timeZone).end);
+        if (!dailyRate) {
+            return next(new HttpError(400, 'Fill in the calculator to get a daily rate first', { code: 'DAILY_RATE_MISSING' }));
+        }
+
+        // Categories ruled out by the dietary restrictions are never planned
+        const restricted = Object.keys(await getRestrictedCategories(req.user));
+        const products = await findPlanProducts(userId, bloodIndex, [...excludedCategories, ...restricted]);
+        const days = generatePlan(products, {
+            dailyRate,
+            startDate,
+            days: PERIOD_DAYS[period],
+            tolerance,
+            meals,
+            seed
+        });
+        if (!days) {
+            return next(new HttpError(422, 'Not enough allowed products to plan within the tolerance, exclude fewer categories or raise the tolerance', {
+                code: 'PLAN_NOT_POSSIBLE'
+            }));
+        }
+
+        const plan = await MealPlan.create({
+            userId,
+            period,
+            seed,
+            daily_rate: dailyRate,
+            tolerance,
+            meals,
+            excludedCategories,
+            days
+        });
+
+        res.status(201).json({ plan });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error generating meal plan'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/meal-plans:
+ *   get:
+ *     summary: List the saved meal plans, newest first
+ *     tags: [Meal plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Saved plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 plans:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MealPlan'
+ *       500:
+ *         description: Error fetching meal plans
+ */
+
+router.get('/', auth, validateMealPlanList, async (req, res, next) => {
+    try {
+        const { page, limit } = req.query;
+        const filter = { userId: req.user._id };
+
+        const [total, plans] = await Promise.all([
+            MealPlan.countDocuments(filter),
+            MealPlan.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+        ]);
+
+        res.status(200).json({ total, page, limit, totalPages: Math.ceil(total / limit), plans });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching meal plans'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/meal-plans/{planId}:
+ *   get:
+ *     summary: Get a saved meal plan
+ *     tags: [Meal plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: planId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The plan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 plan:
+ *                   $ref: '#/components/schemas/MealPlan'
+ *       404:
+ *         description: Meal plan not found
+ *       500:
+ *         description: Error fetching meal plan
+ *   delete:
+ *     summary: Delete a saved meal plan
+ *     description: Days already added to the diary stay there.
+ *     tags: [Meal plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: planId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Meal plan deleted
+ *       404:
+ *         description: Meal plan not found
+ *       500:
+ *         description: Error deleting meal plan
+ */
+
+router.get('/:planId', auth, validateMealPlanId, async (req, res, next) => {
+    try {
+        const plan = await MealPlan.findOne({ _id: req.params.planId, userId: req.user._id });
+        if (!plan) {
+            return next(new HttpError(404, 'Meal plan not found'));
+        }
+
+        res.status(200).json({ plan });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching meal plan'));
+    }
+});
+
+router.delete('/:planId', auth, validateMealPlanId, async (req, res, next) => {
+    try {
+        const plan = await MealPlan.findOneAndDelete({ _id: req.params.planId, userId: req.user._id });
+        if (!plan) {
+            return next(new HttpError(404, 'Meal plan not found'));
+        }
+
+        res.status(200).json({ message: 'Meal plan deleted' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error deleting meal plan'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/meal-plans/{planId}/transfer:
+ *   post:
+ *     summary: Add one day of a plan to the diary
+ *     description: Every product of the day is logged in its meal slot. Products deleted since the plan was made are skipped. A day can only be added once.
+ *     tags: [Meal plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: planId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TimezoneHeader'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Day of the plan to add, required for weekly plans
+ *                 example: "2024-09-12"
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 description: Diary day to log it on, defaults to the day of the plan. Future days are rejected
+ *     responses:
+ *       201:
+ *         description: Day added to the diary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Meal plan added to the diary"
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 diaryEntries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DiaryEntry'
+ *                 skipped:
+ *                   type: array
+ *                   description: Products of the plan that no longer exist
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid days, a missing day for weekly plans or a future diary day
+ *       403:
+ *         description: Email not verified yet (only when REQUIRE_VERIFIED_DIARY is enabled)
+ *       404:
+ *         description: Meal plan or day of the plan not found
+ *       409:
+ *         description: The day was already added to the diary
+ *       500:
+ *         description: Error adding meal plan to the diary
+ */
+
+router.post('/:planId/transfer', auth, requireVerified('diary'), validateMealPlanTransfer, async (req, res, next) => {
+    try {
+        const userId = req.user._id;
+        const timeZone = resolveTimeZone(req);
+
+        const plan = await MealPlan.findOne({ _id: req.params.planId, userId });
+        if (!plan) {
+            return next(new HttpError(404, 'Meal plan not found'));
+        }
+
+        const date = req.body.date || (plan.days.length === 1 ? plan.days[0].date : null);
+        if (!date) {
+            return next(new HttpError(400, 'Choose the day of the plan to add with date'));
+        }
+
+        const day = plan.days.find(planDay => planDay.date === date);
+        if (!day) {
+            return next(new HttpError(404, `The plan has no menu for ${date}`));
+        }
+        if (day.transferredAt) {
+            return next(new HttpError(409, 'This day of the plan was already added to the diary'));
+        }
+
+        const to = req.body.to || date;
+        if (to > localDate(new Date(), timeZone)) {
+            return next(new HttpError(400, "Cannot log products for a future date"));
+        }
+
+        const items = day.meals.flatMap(meal => meal.items.map(item => ({ ...item.toObject(), meal: meal.meal })));
+        const products = await Product.find({
+            _id: { $in: items.map(item => item.productId) },
+            ...Product.visibleTo(userId)
+        });
+
+        const diaryEntries = [];
+        const skipped = [];
+        for (const item of items) {
+            const product = products.find(candidate => candidate._id.equals(item.productId));
+            if (!product) {
+                skipped.push(item.productId);
+                continue;
+            }
+            diaryEntries.push(await logProduct(userId, product, {
+                product_weight: item.product_weight,
+                meal: item.meal,
+                date: to
+            }, timeZone));
+        }
+
+        day.transferredAt = new Date();
+        await plan.save();
+        await invalidateSummaries(userId, [to]);
+        await DiaryEntry.populate(diaryEntries, {
+            path: 'productId',
+            select: 'title'
+        });
+
+        res.status(201).json({
+            message: 'Meal plan added to the diary',
+            date: to,
+            diaryEntries,
+            skipped
+        });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error adding meal plan to the diary'));
+    }
+});
+
+module.exports = router;
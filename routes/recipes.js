@@ -0,0 +1,519 @@
+const express = require('express');
+const router = express.Router();
+const Recipe = require('../models/recipe');
+const auth = require('../middlewares/auth');
+const requireVerified = require('../middlewares/verified');
+const {
+    validateRecipeCreate,
+    validateRecipeUpdate,
+    validateRecipeId,
+    validateRecipeList,
+    validateRecipeLog
+} = require('../middlewares/recipes');
+const { findMissingIngredients, formatRecipe, recipePortion } = require('../services/recipes');
+const { logRecipe } = require('../services/diary');
+const { getDailyRate } = require('../services/dailyRate');
+const { localDate, dayRange, resolveTimeZone } = require('../services/timezone');
+const { invalidateSummaries } = require('../services/summary');
+const { HttpError } = require('../services/errors');
+
+const RECIPE_FIELDS = ['title', 'ingredients', 'servings', 'yield_weight'];
+
+const findOwnRecipe = (recipeId, userId) => Recipe.findOne({ _id: recipeId, userId });
+
+// Points at each ingredient of the body whose product is one of `missing`
+const missingIngredientsError = (ingredients, missing) => new HttpError(404, 'Ingredient product not found', {
+    details: ingredients.reduce((details, ingredient, index) => {
+        if (missing.includes(String(ingredient.productId))) {
+            details.push({ location: 'body', field: `ingredients.${index}.productId`, message: 'Ingredient product not found' });
+        }
+        return details;
+    }, [])
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecipeInput:
+ *       type: object
+ *       required:
+ *         - title
+ *         - ingredients
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: "Vegetable omelette"
+ *         ingredients:
+ *           type: array
+ *           maxItems: 50
+ *           items:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - weight
+ *             properties:
+ *               productId:
+ *                 type: string
+ *                 example: "5d51694802b2373622ff5530"
+ *               weight:
+ *                 type: number
+ *                 description: Raw weight in grams
+ *                 example: 120
+ *         servings:
+ *           type: number
+ *           default: 1
+ *           example: 2
+ *         yield_weight:
+ *           type: number
+ *           nullable: true
+ *           description: Weight of the cooked dish in grams, the raw weight of the ingredients when empty
+ *           example: 300
+ *     NutritionValues:
+ *       type: object
+ *       properties:
+ *         calories:
+ *           type: number
+ *           example: 171.3
+ *         protein:
+ *           type: number
+ *           nullable: true
+ *           description: Null when one of the ingredients does not define it
+ *           example: 10.2
+ *         fat:
+ *           type: number
+ *           nullable: true
+ *           example: 12.4
+ *         carbohydrate:
+ *           type: number
+ *           nullable: true
+ *           example: 4.8
+ *         fibre:
+ *           type: number
+ *           nullable: true
+ *           example: 1.1
+ *         sugar:
+ *           type: number
+ *           nullable: true
+ *           example: 2.5
+ *     Recipe:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "66f1a2b3c4d5e6f708192a3b"
+ *         title:
+ *           type: string
+ *           example: "Vegetable omelette"
+ *         servings:
+ *           type: number
+ *           example: 2
+ *         ingredients:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *               calories:
+ *                 type: number
+ *         nutrition:
+ *           type: object
+ *           description: Computed from the current values of the ingredients
+ *           properties:
+ *             raw_weight:
+ *               type: number
+ *               example: 320
+ *             yield_weight:
+ *               type: number
+ *               example: 300
+ *             total:
+ *               $ref: '#/components/schemas/NutritionValues'
+ *             per_100g:
+ *               $ref: '#/components/schemas/NutritionValues'
+ *             per_serving:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/NutritionValues'
+ *                 - type: object
+ *                   properties:
+ *                     weight:
+ *                       type: number
+ *                       example: 150
+ */
+
+/**
+ * @swagger
+ * /api/recipes:
+ *   get:
+ *     summary: List the recipes of the current user
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Recipes sorted by title
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 recipes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Recipe'
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Error fetching recipes
+ *   post:
+ *     summary: Create a recipe from catalogue or custom products
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecipeInput'
+ *     responses:
+ *       201:
+ *         description: Recipe created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recipe:
+ *                   $ref: '#/components/schemas/Recipe'
+ *       400:
+ *         description: Invalid fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       404:
+ *         description: An ingredient product does not exist, `details` has an entry per such ingredient (field `ingredients.<index>.productId`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Error creating recipe
+ */
+
+router.get('/', auth, validateRecipeList, async (req, res, next) => {
+    try {
+        const { page, limit } = req.query;
+        const filter = { userId: req.user._id };
+
+        const [total, recipes] = await Promise.all([
+            Recipe.countDocuments(filter),
+            Recipe.find(filter)
+                .sort({ title: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+        ]);
+
+        res.status(200).json({
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+            recipes: await Promise.all(recipes.map(formatRecipe))
+        });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching recipes'));
+    }
+});
+
+router.post('/', auth, validateRecipeCreate, async (req, res, next) => {
+    try {
+        const missing = await findMissingIngredients(req.body.ingredients, req.user._id);
+        if (missing.length) {
+            return next(missingIngredientsError(req.body.ingredients, missing));
+        }
+
+        const fields = {};
+        RECIPE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                fields[field] = req.body[field];
+            }
+        });
+
+        const recipe = await Recipe.create({ ...fields, userId: req.user._id });
+
+        res.status(201).json({ recipe: await formatRecipe(recipe) });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error creating recipe'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/recipes/{recipeId}:
+ *   get:
+ *     summary: Get a recipe with its calories and macros
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: recipeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The recipe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recipe:
+ *                   $ref: '#/components/schemas/Recipe'
+ *       404:
+ *         description: Recipe not found
+ *       500:
+ *         description: Error fetching recipe
+ *   patch:
+ *     summary: Update a recipe
+ *     description: Sent ingredients replace the whole list. Diary entries logged earlier keep the values the recipe had then.
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: recipeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecipeInput'
+ *     responses:
+ *       200:
+ *         description: Recipe updated
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Recipe or an ingredient product not found
+ *       500:
+ *         description: Error updating recipe
+ *   delete:
+ *     summary: Delete a recipe
+ *     description: Diary entries of the recipe are kept with the title and values it had when they were logged.
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: recipeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recipe deleted
+ *       404:
+ *         description: Recipe not found
+ *       500:
+ *         description: Error deleting recipe
+ */
+
+router.get('/:recipeId', auth, validateRecipeId, async (req, res, next) => {
+    try {
+        const recipe = await findOwnRecipe(req.params.recipeId, req.user._id);
+        if (!recipe) {
+            return next(new HttpError(404, 'Recipe not found'));
+        }
+
+        res.status(200).json({ recipe: await formatRecipe(recipe) });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching recipe'));
+    }
+});
+
+router.patch('/:recipeId', auth, validateRecipeUpdate, async (req, res, next) => {
+    try {
+        const recipe = await findOwnRecipe(req.params.recipeId, req.user._id);
+        if (!recipe) {
+            return next(new HttpError(404, 'Recipe not found'));
+        }
+
+        if (req.body.ingredients) {
+            const missing = await findMissingIngredients(req.body.ingredients, req.user._id);
+            if (missing.length) {
+                return next(missingIngredientsError(req.body.ingredients, missing));
+            }
+        }
+
+        RECIPE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) {
+                recipe[field] = req.body[field];
+            }
+        });
+        await recipe.save();
+
+        res.status(200).json({ recipe: await formatRecipe(recipe) });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error updating recipe'));
+    }
+});
+
+router.delete('/:recipeId', auth, validateRecipeId, async (req, res, next) => {
+    try {
+        const recipe = await Recipe.findOneAndDelete({ _id: req.params.recipeId, userId: req.user._id });
+        if (!recipe) {
+            return next(new HttpError(404, 'Recipe not found'));
+        }
+
+        res.status(200).json({ message: 'Recipe deleted' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error deleting recipe'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/recipes/{recipeId}/log:
+ *   post:
+ *     summary: Log a portion of a recipe to the diary
+ *     description: The entry keeps the recipe's title and values per 100 g at the time of logging, so later changes to the recipe or its products do not change it.
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: recipeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/TimezoneHeader'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               servings:
+ *                 type: number
+ *                 description: Number of servings eaten, 1 when neither this nor product_weight is sent
+ *                 example: 1.5
+ *               product_weight:
+ *                 type: number
+ *                 description: Grams of the cooked dish eaten, instead of servings
+ *                 example: 220
+ *               meal:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner, snack]
+ *                 default: snack
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today, future days are rejected
+ *               time:
+ *                 type: string
+ *                 example: "13:00"
+ *     responses:
+ *       201:
+ *         description: Portion logged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Recipe portion logged successfully"
+ *                 daily_rate:
+ *                   type: number
+ *                   nullable: true
+ *                 diaryEntry:
+ *                   $ref: '#/components/schemas/DiaryEntry'
+ *       400:
+ *         description: Invalid fields or a future date
+ *       403:
+ *         description: Email not verified yet (only when REQUIRE_VERIFIED_DIARY is enabled)
+ *       404:
+ *         description: Recipe not found
+ *       500:
+ *         description: Error logging recipe portion
+ */
+
+router.post('/:recipeId/log', auth, requireVerified('diary'), validateRecipeLog, async (req, res, next) => {
+    try {
+        const { servings, meal, time } = req.body;
+        const userId = req.user._id;
+        const timeZone = resolveTimeZone(req);
+        const today = localDate(new Date(), timeZone);
+        const date = req.body.date || today;
+
+        if (date > today) {
+            return next(new HttpError(400, "Cannot log products for a future date"));
+        }
+
+        const recipe = await findOwnRecipe(req.params.recipeId, userId);
+        if (!recipe) {
+            return next(new HttpError(404, 'Recipe not found'));
+        }
+
+        const { product_weight, recipe: snapshot } = await recipePortion(recipe, { servings, product_weight: req.body.product_weight });
+        const diaryEntry = await logRecipe(userId, { recipeId: recipe._id, recipe: snapshot }, {
+            product_weight,
+            meal,
+            date,
+            time
+        }, timeZone);
+        await invalidateSummaries(userId, [date]);
+
+        const daily_rate = await getDailyRate(userId, dayRange(date, timeZone).end);
+
+        res.status(201).json({
+            message: 'Recipe portion logged successfully',
+            daily_rate,
+            diaryEntry
+        });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error logging recipe portion'));
+    }
+});
+
+module.exports = router;
@@ -1,15 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const Product = require('../models/products');
-const Calculator = require('../models/calculator');
-const color = require('colors');
 const auth = require('../middlewares/auth');
+const validateCalculator = require('../middlewares/calculator_validation');
+const { validateForbiddenProducts } = require('../middlewares/products_validation');
+const { calculateDailyCalories } = require('../services/calories');
+const { updateProfile } = require('../services/profile');
+const { getRestrictedCategories } = require('../services/restrictions');
+const {
+    getBloodTypeIndex,
+    listForbiddenProducts,
+    groupForbiddenProducts,
+    sampleForbiddenProducts
+} = require('../services/forbiddenProducts');
+const { HttpError } = require('../services/errors');
 
-
-function getBloodTypeIndex(bloodType) {
-    const bloodTypes = ['0(I)', 'A(II)', 'B(III)', 'AB(IV)'];
-    return bloodTypes.indexOf(bloodType);
-};
+const TEASER_SIZE = 4;
 
 /**
  * @swagger
@@ -41,10 +46,13 @@ function getBloodTypeIndex(bloodType) {
 
  *     CalculatorData:
  *       type: object
+ *       required:
+ *         - height
+ *         - age
+ *         - current_weight
+ *         - desired_weight
+ *         - blood_type
  *       properties:
- *         productId:
- *           type: string
- *           example: "60c72b2f9b1e8d001f64760b"
  *         height:
  *           type: number
  *           example: 175
@@ -61,6 +69,51 @@ function getBloodTypeIndex(bloodType) {
  *           type: string
  *           enum: ['0(I)', 'A(II)', 'B(III)', 'AB(IV)']
  *           example: 'A(II)'
+ *         formula:
+ *           type: string
+ *           enum: [slimmom, mifflin, harris]
+ *           default: slimmom
+ *           description: Formula used for the daily rate (SlimMom, Mifflin-St Jeor or Harris-Benedict)
+ *         sex:
+ *           type: string
+ *           enum: [female, male]
+ *           default: female
+ *         activity:
+ *           type: string
+ *           enum: [sedentary, light, moderate, active, very_active]
+ *           description: Optional activity level, multiplies the basal rate
+
+ *     CalorieCalculation:
+ *       type: object
+ *       properties:
+ *         formula:
+ *           type: string
+ *           example: slimmom
+ *         sex:
+ *           type: string
+ *           example: female
+ *         activity:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         bmr:
+ *           type: number
+ *           example: 1482.75
+ *         activityFactor:
+ *           type: number
+ *           example: 1
+ *         goalAdjustment:
+ *           type: number
+ *           example: 50
+ *         explanation:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example:
+ *             - "Basal metabolic rate (slimmom): 10 * 70 + 6.25 * 175 - 5 * 30 - 161 = 1482.75 kcal"
+ *             - "No activity level given, the basal rate is used as is"
+ *             - "Goal adjustment: 10 * (70 - 65) = 50 kcal"
+ *             - "Daily rate: 1482.75 - 50 = 1433 kcal"
 
  *     Calculator:
  *       type: object
@@ -72,6 +125,22 @@ function getBloodTypeIndex(bloodType) {
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/CalculatorData'
+ *         daily_rate:
+ *           type: number
+ *           example: 1433
+ *         rateHistory:
+ *           type: array
+ *           description: Every daily rate the user had and the moment it started to apply
+ *           items:
+ *             type: object
+ *             properties:
+ *               daily_rate:
+ *                 type: number
+ *                 example: 1433
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2021-09-01T12:34:56Z"
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -104,14 +173,20 @@ function getBloodTypeIndex(bloodType) {
  *               properties:
  *                 dailyCalories:
  *                   type: number
- *                   example: 2800
+ *                   example: 1433
+ *                 calculation:
+ *                   $ref: '#/components/schemas/CalorieCalculation'
  *                 forbiddenProducts:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Product'
  *                 length:
  *                   type: number
- *                   example: 1
+ *                   example: 4
+ *                 total:
+ *                   type: number
+ *                   description: Number of all products not recommended for this blood type
+ *                   example: 412
  *       400:
  *         description: Missing or invalid parameters
  *       500:
@@ -119,38 +194,26 @@ function getBloodTypeIndex(bloodType) {
  */
 
 
-router.post('/public-recommendations', async (req, res, next) => {
+router.post('/public-recommendations', validateCalculator, async (req, res, next) => {
     try {
-        const { height, age, current_weight, desired_weight, blood_type } = req.body;
-
-        if (!height || !age || !current_weight || !desired_weight || !blood_type) {
-            return res.status(400).json({ message: "All fields are required!".red });
-        }
-
+        const { height, age, current_weight, desired_weight, blood_type, formula, sex, activity } = req.body;
         const bloodTypeIndex = getBloodTypeIndex(blood_type);
-        if (bloodTypeIndex === -1) {
-            return res.status(400).json({ message: "Invalid blood type!".red });
-        }
-
-        const products = await Product.find({});
-
-       
-        let forbiddenProducts = products.filter(product => product.groupBloodNotAllowed[bloodTypeIndex] === true);
-        forbiddenProducts = forbiddenProducts.slice(0, 4);
-        forbiddenProducts.sort((a, b) => a.title.localeCompare(b.title));
 
+        const { total, products: forbiddenProducts } = await sampleForbiddenProducts(bloodTypeIndex, TEASER_SIZE);
         const length = forbiddenProducts.length
         
-        const dailyCalories = 2800;
+        const { dailyCalories, calculation } = calculateDailyCalories({ height, age, current_weight, desired_weight, sex, activity, formula });
 
         return res.status(200).json({
             dailyCalories,
+            calculation,
             forbiddenProducts,
-            length
+            length,
+            total
         });
     } catch (error) {
         console.error(error);
-        return res.status(500).json({ message: "An error occurred while fetching recommendations.".red });
+        return next(new HttpError(500, "An error occurred while fetching recommendations."));
     }
 });
 
@@ -159,6 +222,7 @@ router.post('/public-recommendations', async (req, res, next) => {
  * /api/products/private-recommendations:
  *    post:
  *     summary: Get private food recommendations based on user inputs and authentication
+ *     description: The inputs are saved to the user profile (see /api/users/me) and the daily rate is stored.
  *     tags: [Recommendations]
  *     security:
  *       - bearerAuth: []
@@ -178,14 +242,26 @@ router.post('/public-recommendations', async (req, res, next) => {
  *               properties:
  *                 dailyCalories:
  *                   type: number
- *                   example: 2800
+ *                   example: 1433
+ *                 calculation:
+ *                   $ref: '#/components/schemas/CalorieCalculation'
  *                 forbiddenProducts:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Product'
  *                 length:
  *                   type: number
- *                   example: 1
+ *                   example: 4
+ *                 total:
+ *                   type: number
+ *                   description: Number of all products not recommended for this blood type or ruled out by the user's dietary restrictions
+ *                   example: 412
+ *                 restrictedCategories:
+ *                   type: array
+ *                   description: Categories ruled out by the user's dietary restrictions
+ *                   items:
+ *                     type: string
+ *                   example: [meat, fish]
  *       '400':
  *         description: Missing or invalid parameters
  *       '401':
@@ -194,66 +270,150 @@ router.post('/public-recommendations', async (req, res, next) => {
  *         description: Internal server error
  */
 
-router.post('/private-recommendations', auth, async (req, res) => {
+router.post('/private-recommendations', auth, validateCalculator, async (req, res, next) => {
     try {
-        const { height, age, current_weight, desired_weight, blood_type } = req.body;
-        const userId = req.user._id;
-
-        if (!height || !age || !current_weight || !desired_weight || !blood_type) {
-            return res.status(400).json({ message: "All fields are required!" });
-        }
-
+        const { height, age, current_weight, desired_weight, blood_type, formula, sex, activity } = req.body;
         const bloodTypeIndex = getBloodTypeIndex(blood_type);
-        if (bloodTypeIndex === -1) {
-            return res.status(400).json({ message: "Invalid blood type!" });
-        }
 
-       
-        const existingData = await Calculator.findOne({ userId });
-
-        if (existingData) {
-           
-            existingData.data = [{
-                height,
-                age,
-                current_weight,
-                desired_weight,
-                blood_type
-            }];
-            await existingData.save();
-        } else {
-          
-            const newCalculatorData = new Calculator({
-                userId,
-                data: [{
-                    height,
-                    age,
-                    current_weight,
-                    desired_weight,
-                    blood_type
-                }]
-            });
-            await newCalculatorData.save();
-        }
-
-        const products = await Product.find({});
-        let forbiddenProducts = products.filter(product => product.groupBloodNotAllowed[bloodTypeIndex] === true);
-        forbiddenProducts = forbiddenProducts.slice(0, 4);
-        forbiddenProducts.sort((a, b) => a.title.localeCompare(b.title));
+        const { dailyCalories, calculation } = await updateProfile(req.user, {
+            height,
+            age,
+            current_weight,
+            desired_weight,
+            blood_type,
+            formula,
+            sex,
+            activity
+        });
 
+        const restrictedCategories = Object.keys(await getRestrictedCategories(req.user));
+        const { total, products: forbiddenProducts } = await sampleForbiddenProducts(bloodTypeIndex, TEASER_SIZE, restrictedCategories);
         const length = forbiddenProducts.length
-        const dailyCalories = 2800; 
 
         return res.status(200).json({
             dailyCalories,
+            calculation,
             forbiddenProducts,
-            length
+            length,
+            total,
+            restrictedCategories
         });
     } catch (error) {
         console.error(error);
-        return res.status(500).json({ message: "An error occurred while processing your request." });
+        return next(new HttpError(500, "An error occurred while processing your request."));
     }
 });
 
+/**
+ * @swagger
+ * /api/products/forbidden:
+ *   get:
+ *     summary: Get the full list of products not recommended for a blood type
+ *     tags: [Recommendations]
+ *     parameters:
+ *       - name: blood_type
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: ['0(I)', 'A(II)', 'B(III)', 'AB(IV)']
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         description: Products per page, or categories per page when grouped
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - name: sort
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [title, -title, calories, -calories]
+ *           default: title
+ *       - name: groupBy
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [categories]
+ *       - name: sample
+ *         in: query
+ *         description: Return this many random products instead of a page
+ *         schema:
+ *           type: integer
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Successfully fetched the products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: number
+ *                   example: 412
+ *                 page:
+ *                   type: number
+ *                   example: 1
+ *                 limit:
+ *                   type: number
+ *                   example: 20
+ *                 totalPages:
+ *                   type: number
+ *                   example: 21
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 totalCategories:
+ *                   type: number
+ *                   description: Only when grouped by categories
+ *                   example: 12
+ *                 groups:
+ *                   type: array
+ *                   description: Only when grouped by categories
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       category:
+ *                         type: string
+ *                         example: "flour"
+ *                       count:
+ *                         type: number
+ *                         example: 35
+ *                       products:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Missing or invalid parameters
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/forbidden', validateForbiddenProducts, async (req, res, next) => {
+    try {
+        const { blood_type, page, limit, sort, groupBy, sample } = req.query;
+        const bloodTypeIndex = getBloodTypeIndex(blood_type);
+
+        if (sample !== undefined) {
+            return res.status(200).json(await sampleForbiddenProducts(bloodTypeIndex, sample));
+        }
+
+        const result = groupBy
+            ? await groupForbiddenProducts(bloodTypeIndex, { page, limit, sort })
+            : await listForbiddenProducts(bloodTypeIndex, { page, limit, sort });
+
+        return res.status(200).json(result);
+    } catch (error) {
+        console.error(error);
+        return next(new HttpError(500, "An error occurred while fetching the products."));
+    }
+});
 
 module.exports = router;
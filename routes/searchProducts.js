@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const Product = require('../models/products'); 
 const auth = require('../middlewares/auth');
+const { validateProductSearch } = require('../middlewares/products_validation');
+const { getBodyParameters } = require('../services/profile');
+const { getBloodTypeIndex } = require('../services/forbiddenProducts');
+const { searchFilter, textSearch, prefixSearch } = require('../services/productSearch');
+const { getRestrictedCategories } = require('../services/restrictions');
+const { HttpError } = require('../services/errors');
 
 /**
  * @swagger
@@ -36,17 +41,74 @@ const auth = require('../middlewares/auth');
  * @swagger
  * /api/products/search:
  *   get:
- *     summary: Search for products by title 
+ *     summary: Search for products by title
+ *     description: >
+ *       Searches the shared catalogue and the custom products of the current user.
+ *       By default whole words are matched on the text index and results are ranked by relevance.
+ *       With `prefix=true` every word of the query only has to start a word of the title, for autocomplete.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - name: query
  *         in: query
- *         description: The search query for the product title 
+ *         description: The search query for the product title
  *         required: true
  *         schema:
  *           type: string
+ *           maxLength: 100
+ *       - name: prefix
+ *         in: query
+ *         required: false
+ *         description: Match the beginning of words instead of whole words
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: category
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: eggs
+ *       - name: minCalories
+ *         in: query
+ *         required: false
+ *         description: Minimum calories per 100 g
+ *         schema:
+ *           type: number
+ *       - name: maxCalories
+ *         in: query
+ *         required: false
+ *         description: Maximum calories per 100 g
+ *         schema:
+ *           type: number
+ *       - name: allowed
+ *         in: query
+ *         required: false
+ *         description: Only products recommended for the blood type saved in the user's profile
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: includeRestricted
+ *         in: query
+ *         required: false
+ *         description: Also return products ruled out by the user's dietary restrictions, which are left out by default
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: Successfully found products
@@ -58,56 +120,69 @@ const auth = require('../middlewares/auth');
  *                 message:
  *                   type: string
  *                   example: 'Products found successfully'
+ *                 total:
+ *                   type: number
+ *                   example: 3
+ *                 page:
+ *                   type: number
+ *                   example: 1
+ *                 limit:
+ *                   type: number
+ *                   example: 20
+ *                 totalPages:
+ *                   type: number
+ *                   example: 1
  *                 products:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Product'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           score:
+ *                             type: number
+ *                             description: Relevance, only for whole word searches
+ *                             example: 11.25
  *       400:
- *         description: Query parameter is required
+ *         description: Invalid parameters, or `allowed=true` without a saved blood type
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: 'Query parameter is required.'
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: An error occurred while searching for products
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: 'An error occurred while searching for products.'
+ *               $ref: '#/components/schemas/Error'
  */
 
-
-router.get('/search', auth, async (req, res) => {
+router.get('/search', auth, validateProductSearch, async (req, res, next) => {
     try {
-        const { query } = req.query;
+        const { query, prefix, category, minCalories, maxCalories, allowed, includeRestricted, page, limit } = req.query;
 
-        if (!query) {
-            return res.status(400).json({ message: 'Query parameter is required.' });
+        let bloodIndex;
+        if (allowed) {
+            const { blood_type } = await getBodyParameters(req.user);
+            bloodIndex = getBloodTypeIndex(blood_type);
+            if (bloodIndex === -1) {
+                return next(new HttpError(400, 'Save your blood type in the calculator to filter by it', { code: 'BLOOD_TYPE_MISSING' }));
+            }
         }
 
-        console.log('Search query:', query);  
-      
-        const products = await Product.find({ title: { $regex: query, $options: 'i' } });
-
-      
+        const excludedCategories = includeRestricted ? [] : Object.keys(await getRestrictedCategories(req.user));
 
-        console.log('Products found:', products);  
+        const filter = searchFilter(req.user._id, { category, minCalories, maxCalories, bloodIndex, excludedCategories });
+        const search = prefix ? prefixSearch : textSearch;
+        const result = await search(query, filter, { page, limit });
 
         return res.status(200).json({
             message: 'Products found successfully',
-            products
+            ...result
         });
     } catch (error) {
         console.error('Error occurred:', error);
-        return res.status(500).json({ message: 'An error occurred while searching for products.' });
+        return next(new HttpError(500, 'An error occurred while searching for products.'));
     }
 });
 
@@ -1,9 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const Diary = require('../models/diary');
 const Summary = require('../models/summery');
 const auth = require('../middlewares/auth');  
-const { startOfDay, endOfDay } = require('date-fns');
+const { validateSummaryDay, validateSummaryRange } = require('../middlewares/summery');
+const { getDailyRate } = require('../services/dailyRate');
+const { getDayTotals, getNotRecommendedTotals } = require('../services/diary');
+const { getRangeStatistics } = require('../services/summary');
+const { macroSplit, macroTargets } = require('../services/nutrition');
+const { getBodyParameters } = require('../services/profile');
+const { getBloodTypeIndex } = require('../services/forbiddenProducts');
+const { dayRange, resolveTimeZone } = require('../services/timezone');
+const { HttpError } = require('../services/errors');
 
 /**
  * @swagger
@@ -20,9 +27,10 @@ const { startOfDay, endOfDay } = require('date-fns');
  *           items:
  *             type: object
  *             properties:
- *               diaryId:
+ *               date:
  *                 type: string
- *                 example: "60d5f54f8d5c41001c8e6b0a"
+ *                 format: date
+ *                 example: "2024-09-12"
  *               daily_left:
  *                 type: number
  *                 example: 1500
@@ -50,10 +58,83 @@ const { startOfDay, endOfDay } = require('date-fns');
  *           example: 1300
  *         daily_rate:
  *           type: number
+ *           nullable: true
+ *           description: The user's daily rate on that date, null until the calculator is filled in
  *           example: 2800
  *         percentage:
  *           type: number
+ *           nullable: true
  *           example: 46.43
+ *         macros:
+ *           type: object
+ *           description: Grams eaten that day; products without macro values count as 0 g
+ *           properties:
+ *             protein:
+ *               type: number
+ *               example: 62.4
+ *             fat:
+ *               type: number
+ *               example: 41
+ *             carbohydrate:
+ *               type: number
+ *               example: 150.2
+ *             fibre:
+ *               type: number
+ *               example: 18
+ *             sugar:
+ *               type: number
+ *               example: 35.5
+ *         macro_split:
+ *           type: object
+ *           description: Share of the energy from protein, fat and carbohydrate in percent, null when none was logged
+ *           properties:
+ *             protein:
+ *               type: number
+ *               nullable: true
+ *               example: 21.9
+ *             fat:
+ *               type: number
+ *               nullable: true
+ *               example: 32.4
+ *             carbohydrate:
+ *               type: number
+ *               nullable: true
+ *               example: 45.7
+ *         macro_targets:
+ *           type: object
+ *           description: The user's targets for the day, grams are null without a daily rate
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               percentage:
+ *                 type: number
+ *                 example: 20
+ *               grams:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 140
+ *         not_recommended:
+ *           type: object
+ *           description: Entries of products not recommended for the user's blood type, both 0 while it is unknown
+ *           properties:
+ *             entries:
+ *               type: number
+ *               example: 2
+ *             calories:
+ *               type: number
+ *               example: 315
+ *         meals:
+ *           type: array
+ *           description: Only returned with groupBy=meal
+ *           items:
+ *             type: object
+ *             properties:
+ *               meal:
+ *                 type: string
+ *                 example: breakfast
+ *               consumed:
+ *                 type: number
+ *                 example: 420
  */
 
 /**
@@ -72,6 +153,14 @@ const { startOfDay, endOfDay } = require('date-fns');
  *         schema:
  *           type: string
  *           example: "2024-09-12"
+ *       - name: groupBy
+ *         in: query
+ *         required: false
+ *         description: Also return the calories consumed in each meal slot
+ *         schema:
+ *           type: string
+ *           enum: [meal]
+ *       - $ref: '#/components/parameters/TimezoneHeader'
  *     responses:
  *       200:
  *         description: Successfully retrieved the daily summary
@@ -84,90 +173,58 @@ const { startOfDay, endOfDay } = require('date-fns');
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "No diary entry found for this date."
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Error calculating the summary
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Error calculating summary"
+ *               $ref: '#/components/schemas/Error'
  */
 
-router.get('/summary/:date', auth, async (req, res, next) => {
+router.get('/summary/:date', auth, validateSummaryDay, async (req, res, next) => {
     try {
+        const { groupBy } = req.query;
         const { date } = req.params;
         const userId = req.user._id;
 
-        
-
-        const startDate = startOfDay(new Date(date));
-        const endDate = endOfDay(new Date(date));
-
-        console.log("Start date:", startDate);
-        console.log("End date:", endDate);
-
-       
+        const { start, end } = dayRange(date, resolveTimeZone(req));
 
-        const diaryEntry = await Diary.findOne({
-            userId,
-            'entries.date': {
-                $gte: startDate,
-                $lte: endDate
-            }
-        }).populate('entries.productId');
+        const totals = await getDayTotals(userId, { start, end });
 
-        console.log(diaryEntry);
-
-        if (!diaryEntry) {
-            return res.status(404).json({ message: "No diary entry found for this date." });
+        if (!totals.entries) {
+            return next(new HttpError(404, "No diary entry found for this date."));
         }
-    
-       
 
-        const totalConsumed = diaryEntry.entries.reduce((accumulator, product) => accumulator + product.product_Calories, 0);
-        const dailyRate = 2800;
-        const dailyLeft = dailyRate - totalConsumed;
-        const dailyPercentage = ((totalConsumed / dailyRate) * 100).toFixed(2);
+        const totalConsumed = totals.consumed;
+        const dailyRate = await getDailyRate(userId, end);
+        const { blood_type } = await getBodyParameters(req.user);
+        const notRecommended = await getNotRecommendedTotals(userId, { start, end }, getBloodTypeIndex(blood_type));
+        const dailyLeft = dailyRate === null ? null : dailyRate - totalConsumed;
+        const dailyPercentage = dailyRate ? ((totalConsumed / dailyRate) * 100).toFixed(2) : null;
 
       
 
-        let summary = await Summary.findOne({ userId }).populate('summaryInfo.diaryId');
+        let summary = await Summary.findOne({ userId });
 
         if (!summary) {
             summary = new Summary({ userId, summaryInfo: [] });
         };
 
-        
-        
-        const existingSummaryIndex = summary.summaryInfo.findIndex(index => index.diaryId.entries.some(entry =>
-            new Date(entry.date).toDateString() === new Date(date).toDateString()
-        )
-        );
+        const summaryInfo = {
+            date,
+            daily_left: dailyLeft,
+            daily_consumed: totalConsumed,
+            daily_rate: dailyRate,
+            percentage: dailyPercentage
+        };
+
+        const existingSummaryIndex = summary.summaryInfo.findIndex(info => info.date === date);
 
         if (existingSummaryIndex > -1) {
-            summary.summaryInfo[existingSummaryIndex] = {
-                diaryId: diaryEntry._id,
-                daily_left: dailyLeft,
-                daily_consumed: totalConsumed,
-                daily_rate: dailyRate,
-                percentage: dailyPercentage
-            };
+            summary.summaryInfo[existingSummaryIndex] = summaryInfo;
         } else {
-            summary.summaryInfo.push({
-                diaryId: diaryEntry._id,
-                daily_left: dailyLeft,
-                daily_consumed: totalConsumed,
-                daily_rate: dailyRate,
-                percentage: dailyPercentage
-            });
+            summary.summaryInfo.push(summaryInfo);
         }
 
         await summary.save();
@@ -177,11 +234,166 @@ router.get('/summary/:date', auth, async (req, res, next) => {
             daily_left: dailyLeft,
             daily_consumed: totalConsumed,
             daily_rate: dailyRate,
-            percentage: dailyPercentage
+            percentage: dailyPercentage,
+            macros: totals.macros,
+            macro_split: macroSplit(totals.macros),
+            macro_targets: macroTargets(req.user.profile && req.user.profile.macro_targets, dailyRate),
+            not_recommended: notRecommended,
+            ...(groupBy && {
+                meals: totals.meals
+            })
         });
     } catch (error) {
         console.error("Error calculating summary:", error);
-        return res.status(500).json({ message: "Error calculating summary!" });
+        return next(new HttpError(500, "Error calculating summary!"));
+    }
+});
+
+/**
+ * @swagger
+ * /api/summary:
+ *   get:
+ *     summary: Get per-day summaries and statistics for a date range
+ *     tags: [Summary]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-09-01"
+ *       - name: to
+ *         in: query
+ *         required: true
+ *         description: Last day of the range, at most 366 days after `from`
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2024-09-30"
+ *       - name: top
+ *         in: query
+ *         required: false
+ *         description: Number of top calorie contributors to return
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *       - $ref: '#/components/parameters/TimezoneHeader'
+ *     responses:
+ *       200:
+ *         description: Successfully calculated the range summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   example: "2024-09-01"
+ *                 to:
+ *                   type: string
+ *                   example: "2024-09-30"
+ *                 days:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/SummaryResponse'
+ *                       - type: object
+ *                         properties:
+ *                           entries:
+ *                             type: number
+ *                             description: Number of diary entries, 0 for days that were not tracked
+ *                             example: 6
+ *                 statistics:
+ *                   type: object
+ *                   properties:
+ *                     tracked_days:
+ *                       type: number
+ *                       example: 27
+ *                     average_consumed:
+ *                       type: number
+ *                       example: 1510.4
+ *                     days_over_budget:
+ *                       type: number
+ *                       example: 4
+ *                     longest_streak_within_budget:
+ *                       type: number
+ *                       example: 11
+ *                     weekly_averages:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           year:
+ *                             type: number
+ *                             example: 2024
+ *                           week:
+ *                             type: number
+ *                             example: 36
+ *                           average_consumed:
+ *                             type: number
+ *                             example: 1490
+ *                           tracked_days:
+ *                             type: number
+ *                             example: 7
+ *                     monthly_averages:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           month:
+ *                             type: string
+ *                             example: "2024-09"
+ *                           average_consumed:
+ *                             type: number
+ *                             example: 1510.4
+ *                           tracked_days:
+ *                             type: number
+ *                             example: 27
+ *                     top_products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           productId:
+ *                             type: string
+ *                             nullable: true
+ *                             example: "5d51694802b2373622ff5530"
+ *                           recipeId:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Set instead of productId for recipe portions
+ *                           title:
+ *                             type: string
+ *                             example: "Omelet with cheese"
+ *                           calories:
+ *                             type: number
+ *                             example: 3420
+ *                           weight:
+ *                             type: number
+ *                             example: 1000
+ *                           entries:
+ *                             type: number
+ *                             example: 8
+ *       400:
+ *         description: Missing or invalid range
+ *       500:
+ *         description: Error calculating the summary
+ */
+
+router.get('/summary', auth, validateSummaryRange, async (req, res, next) => {
+    try {
+        const { from, to, top } = req.query;
+
+        const summary = await getRangeStatistics(req.user._id, from, to, resolveTimeZone(req), { top });
+
+        return res.status(200).json(summary);
+    } catch (error) {
+        console.error("Error calculating summary:", error);
+        return next(new HttpError(500, "Error calculating summary!"));
     }
 });
 
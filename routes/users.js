@@ -0,0 +1,200 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/user');
+const auth = require('../middlewares/auth');
+const { validateProfileUpdate } = require('../middlewares/users_validation');
+const { formatProfile, updateProfile } = require('../services/profile');
+const { HttpError } = require('../services/errors');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Profile:
+ *       type: object
+ *       description: Weights are always stored in kg and heights in cm, `units` is only a display preference.
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Popescu Andrei
+ *         email:
+ *           type: string
+ *           example: popescuandrei@example.com
+ *         verified:
+ *           type: boolean
+ *           readOnly: true
+ *           example: true
+ *         sex:
+ *           type: string
+ *           enum: [female, male]
+ *           example: female
+ *         birthDate:
+ *           type: string
+ *           format: date
+ *           example: "1994-05-21"
+ *         age:
+ *           type: number
+ *           readOnly: true
+ *           description: Derived from birthDate when it is known
+ *           example: 30
+ *         height:
+ *           type: number
+ *           example: 175
+ *         current_weight:
+ *           type: number
+ *           example: 70
+ *         desired_weight:
+ *           type: number
+ *           example: 65
+ *         blood_type:
+ *           type: string
+ *           enum: ['0(I)', 'A(II)', 'B(III)', 'AB(IV)']
+ *           example: 'A(II)'
+ *         activity:
+ *           type: string
+ *           enum: [sedentary, light, moderate, active, very_active]
+ *           example: light
+ *         formula:
+ *           type: string
+ *           enum: [slimmom, mifflin, harris]
+ *           example: slimmom
+ *         units:
+ *           type: string
+ *           enum: [metric, imperial]
+ *           example: metric
+ *         timezone:
+ *           type: string
+ *           example: Europe/Bucharest
+ *         daily_rate:
+ *           type: number
+ *           readOnly: true
+ *           nullable: true
+ *           example: 1433
+ *         macro_targets:
+ *           type: object
+ *           description: >
+ *             Share of the daily rate to get from each macro, in percent adding up to 100
+ *             (20/30/50 when not set). Responses return `{ percentage, grams }` for each macro.
+ *           properties:
+ *             protein:
+ *               type: number
+ *               example: 25
+ *             fat:
+ *               type: number
+ *               example: 30
+ *             carbohydrate:
+ *               type: number
+ *               example: 45
+ *         blood_type_check:
+ *           type: string
+ *           enum: [warn, reject]
+ *           default: warn
+ *           description: Whether logging a product not recommended for the blood type only warns or is refused
+ *         restrictions:
+ *           type: object
+ *           description: >
+ *             Diets and categories the user does not eat. They are left out of search results and
+ *             meal plans, added to the products to avoid and reported when logging such a product.
+ *             Only the lists that are sent are replaced, the other one is kept.
+ *           properties:
+ *             diets:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 enum: [vegetarian, vegan, gluten_free, lactose_free]
+ *               example: [vegetarian, lactose_free]
+ *             excludedCategories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: [mushrooms]
+ */
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   get:
+ *     summary: Get the profile of the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 profile:
+ *                   $ref: '#/components/schemas/Profile'
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Internal server error
+ *   patch:
+ *     summary: Update the profile of the current user
+ *     description: Changing body parameters recalculates the daily rate. A new email has to be verified again.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Profile'
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 profile:
+ *                   $ref: '#/components/schemas/Profile'
+ *                 calculation:
+ *                   $ref: '#/components/schemas/CalorieCalculation'
+ *       400:
+ *         description: Invalid fields
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       409:
+ *         description: Email already registered
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/me', auth, async (req, res, next) => {
+    try {
+        res.status(200).json({ profile: await formatProfile(req.user) });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+
+router.patch('/me', auth, validateProfileUpdate, async (req, res, next) => {
+    try {
+        const { email } = req.body;
+        if (email && email !== req.user.email) {
+            const existingUser = await User.exists({ email });
+            if (existingUser) {
+                return next(new HttpError(409, "Email already registered!", { code: 'EMAIL_TAKEN' }));
+            }
+        }
+
+        const rate = await updateProfile(req.user, req.body);
+
+        res.status(200).json({
+            profile: await formatProfile(req.user),
+            calculation: rate ? rate.calculation : null
+        });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Internal Server Error'));
+    }
+});
+
+module.exports = router;
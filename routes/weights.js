@@ -0,0 +1,314 @@
+const express = require('express');
+const router = express.Router();
+const Weight = require('../models/weight');
+const auth = require('../middlewares/auth');
+const { validateWeightCreate, validateWeightUpdate, validateWeightId } = require('../middlewares/weights_validation');
+const { getProgress } = require('../services/weights');
+const { updateProfile } = require('../services/profile');
+const { localDate, resolveTimeZone } = require('../services/timezone');
+const { HttpError } = require('../services/errors');
+
+// Weigh-ins are stored at UTC midnight of the day they belong to in the user's time zone
+const toDay = day => new Date(`${day}T00:00:00.000Z`);
+
+// Keeps the profile (and so the daily rate) in sync with a new weigh-in when it is the most recent one
+const syncCurrentWeight = async (user, entry) => {
+    const latest = await Weight.findOne({ userId: user._id }).sort({ date: -1 });
+    if (latest && latest._id.equals(entry._id)) {
+        await updateProfile(user, { current_weight: entry.weight });
+    }
+};
+
+// After a weigh-in is changed, moved to another day or deleted, whichever is now the most
+// recent one gives the current weight. The profile is left alone when no weigh-in is left
+const syncLatestWeight = async user => {
+    const latest = await Weight.findOne({ userId: user._id }).sort({ date: -1 });
+    if (latest && latest.weight !== user.profile.current_weight) {
+        await updateProfile(user, { current_weight: latest.weight });
+    }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Weight:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "66e05e3f00b70bb9b3c184ec"
+ *         date:
+ *           type: string
+ *           format: date-time
+ *           example: "2024-09-12T00:00:00.000Z"
+ *         weight:
+ *           type: number
+ *           example: 71.4
+ *         note:
+ *           type: string
+ *           example: "After the holidays"
+ *         movingAverage:
+ *           type: number
+ *           description: Average of the weigh-ins from the last 7 days
+ *           example: 71.8
+ *     WeightProgress:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         start_weight:
+ *           type: number
+ *           example: 75
+ *         current_weight:
+ *           type: number
+ *           example: 71.4
+ *         smoothed_weight:
+ *           type: number
+ *           example: 71.8
+ *         desired_weight:
+ *           type: number
+ *           example: 65
+ *         lost:
+ *           type: number
+ *           example: 3.6
+ *         percentage:
+ *           type: number
+ *           description: Progress from the first weigh-in toward desired_weight
+ *           example: 36
+ *         daily_deficit:
+ *           type: number
+ *           nullable: true
+ *           description: Average daily deficit against maintenance calories, from the last 14 days of the diary
+ *           example: 480
+ *         projected_goal_date:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: >
+ *             When desired_weight is reached at the current deficit, or surplus for goals above the first
+ *             weigh-in. The latest weigh-in date once the goal is reached.
+ *         days_tracked:
+ *           type: number
+ *           example: 42
+ */
+
+/**
+ * @swagger
+ * /api/weights:
+ *   get:
+ *     summary: Get all weigh-ins with the progress toward the desired weight
+ *     tags: [Weights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/TimezoneHeader'
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the weigh-ins
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Weight'
+ *                 progress:
+ *                   $ref: '#/components/schemas/WeightProgress'
+ *       401:
+ *         description: Unauthorized, token missing or invalid
+ *       500:
+ *         description: Internal server error
+ *   post:
+ *     summary: Add the weigh-in of a day
+ *     description: Only one weigh-in per day is allowed. The latest weigh-in updates the profile and the daily rate.
+ *     tags: [Weights]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - weight
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *                 example: "2024-09-12"
+ *               weight:
+ *                 type: number
+ *                 example: 71.4
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Weigh-in added
+ *       400:
+ *         description: Invalid fields
+ *       409:
+ *         description: There is already a weigh-in for this day
+ *       500:
+ *         description: Internal server error
+ */
+
+router.get('/', auth, async (req, res, next) => {
+    try {
+        const entries = await Weight.find({ userId: req.user._id }).sort({ date: 1 }).lean();
+        res.status(200).json(await getProgress(req.user, entries, resolveTimeZone(req)));
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error fetching weigh-ins'));
+    }
+});
+
+router.post('/', auth, validateWeightCreate, async (req, res, next) => {
+    try {
+        const { weight, note } = req.body;
+        const userId = req.user._id;
+        const today = localDate(new Date(), resolveTimeZone(req));
+        const day = req.body.date || today;
+
+        if (day > today) {
+            return next(new HttpError(400, 'Date must not be in the future'));
+        }
+        const date = toDay(day);
+
+        const existingEntry = await Weight.exists({ userId, date });
+        if (existingEntry) {
+            return next(new HttpError(409, 'There is already a weigh-in for this day'));
+        }
+
+        const entry = await Weight.create({ userId, date, weight, note });
+        await syncCurrentWeight(req.user, entry);
+
+        res.status(201).json({ entry });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error adding weigh-in'));
+    }
+});
+
+/**
+ * @swagger
+ * /api/weights/{weightId}:
+ *   patch:
+ *     summary: Change a weigh-in
+ *     description: The profile's current weight follows whichever weigh-in is the most recent afterwards.
+ *     tags: [Weights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: weightId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               weight:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Weigh-in updated
+ *       400:
+ *         description: Invalid fields
+ *       404:
+ *         description: Weigh-in not found
+ *       409:
+ *         description: There is already a weigh-in for this day
+ *       500:
+ *         description: Internal server error
+ *   delete:
+ *     summary: Delete a weigh-in
+ *     description: Deleting the most recent weigh-in makes the one before it the current weight of the profile.
+ *     tags: [Weights]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: weightId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Weigh-in deleted
+ *       404:
+ *         description: Weigh-in not found
+ *       500:
+ *         description: Internal server error
+ */
+
+router.patch('/:weightId', auth, validateWeightUpdate, async (req, res, next) => {
+    try {
+        const { weightId } = req.params;
+        const userId = req.user._id;
+
+        const entry = await Weight.findOne({ _id: weightId, userId });
+        if (!entry) {
+            return next(new HttpError(404, 'Weigh-in not found'));
+        }
+
+        if (req.body.date) {
+            const day = req.body.date;
+            if (day > localDate(new Date(), resolveTimeZone(req))) {
+                return next(new HttpError(400, 'Date must not be in the future'));
+            }
+            const date = toDay(day);
+            const existingEntry = await Weight.exists({ userId, date, _id: { $ne: entry._id } });
+            if (existingEntry) {
+                return next(new HttpError(409, 'There is already a weigh-in for this day'));
+            }
+            entry.date = date;
+        }
+        if (req.body.weight !== undefined) {
+            entry.weight = req.body.weight;
+        }
+        if (req.body.note !== undefined) {
+            entry.note = req.body.note;
+        }
+
+        await entry.save();
+        await syncLatestWeight(req.user);
+
+        res.status(200).json({ entry });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error updating weigh-in'));
+    }
+});
+
+router.delete('/:weightId', auth, validateWeightId, async (req, res, next) => {
+    try {
+        const { weightId } = req.params;
+
+        const entry = await Weight.findOneAndDelete({ _id: weightId, userId: req.user._id });
+        if (!entry) {
+            return next(new HttpError(404, 'Weigh-in not found'));
+        }
+
+        await syncLatestWeight(req.user);
+
+        res.status(200).json({ message: 'Weigh-in deleted' });
+    } catch (error) {
+        console.error(error);
+        next(new HttpError(500, 'Error deleting weigh-in'));
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Fills `titleWords`, used by the autocomplete search, for products saved before it existed.
+ * New and changed products get it when they are saved. Safe to run again.
+ *
+ * Usage: node scripts/index-product-titles.js
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Product = require('../models/products');
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_CONNECTION);
+
+    let updated = 0;
+    let batch = [];
+    const flush = async () => {
+        if (batch.length) {
+            const result = await Product.bulkWrite(batch, { ordered: false });
+            updated += result.modifiedCount;
+            batch = [];
+        }
+    };
+
+    const cursor = Product.find({ titleWords: { $exists: false } }).select('title').lean().cursor();
+    for await (const product of cursor) {
+        batch.push({
+            updateOne: {
+                filter: { _id: product._id },
+                update: { $set: { titleWords: Product.titleWords(product.title) } }
+            }
+        });
+        if (batch.length === BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    console.log(`${updated} products indexed for autocomplete`);
+};
+
+run()
+    .catch(error => {
+        console.error('Indexing product titles failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,75 @@
+/**
+ * Moves the embedded `Diary.entries` arrays into one `DiaryEntry` document per entry.
+ * Entry ids are kept, so links to `/api/diary/entries/:entryId` keep working,
+ * and running the script twice does not duplicate anything.
+ *
+ * Usage: node scripts/migrate-diary.js [--dry-run] [--drop]
+ *   --dry-run  only count what would be migrated
+ *   --drop     drop the old `diaries` collection when done
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+const DiaryEntry = require('../models/diaryEntry');
+
+const dryRun = process.argv.includes('--dry-run');
+const drop = process.argv.includes('--drop');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_CONNECTION);
+    const diaries = mongoose.connection.collection('diaries');
+
+    let users = 0;
+    let migrated = 0;
+
+    for await (const diary of diaries.find({})) {
+        users += 1;
+        const operations = (diary.entries || []).map(entry => ({
+            updateOne: {
+                filter: { _id: entry._id },
+                update: {
+                    $setOnInsert: {
+                        userId: diary.userId,
+                        productId: entry.productId,
+                        product_weight: entry.product_weight,
+                        product_Calories: entry.product_Calories,
+                        meal: entry.meal || 'snack',
+                        date: entry.date
+                    }
+                },
+                upsert: true
+            }
+        }));
+
+        if (!operations.length) {
+            continue;
+        }
+
+        if (dryRun) {
+            migrated += operations.length;
+            continue;
+        }
+
+        const result = await DiaryEntry.bulkWrite(operations, { ordered: false });
+        migrated += result.upsertedCount;
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}${users} diaries, ${migrated} entries migrated`);
+
+    if (!dryRun) {
+        // Cached summaries were keyed by diary document, they are rebuilt on demand
+        await mongoose.connection.collection('summaries').updateMany({}, { $pull: { summaryInfo: { date: { $exists: false } } } });
+        await DiaryEntry.syncIndexes();
+    }
+
+    if (drop && !dryRun) {
+        await diaries.drop();
+        console.log('Dropped the diaries collection');
+    }
+};
+
+migrate()
+    .catch(error => {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
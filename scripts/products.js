@@ -0,0 +1,56 @@
+/**
+ * Imports products into the shared catalogue or exports it, as JSON or CSV.
+ * Imported rows are validated like the API does and upserted by title and category.
+ *
+ * Usage: node scripts/products.js import <file> [--dry-run] [--format json|csv]
+ *        node scripts/products.js export <file> [--format json|csv]
+ *   --format   defaults to the file extension, then JSON
+ *   --dry-run  only report what would be imported
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { parseProducts, importProducts, exportProducts } = require('../services/productCatalogue');
+
+const [command, file] = process.argv.slice(2);
+const dryRun = process.argv.includes('--dry-run');
+const formatIndex = process.argv.indexOf('--format');
+const format = formatIndex > -1
+    ? process.argv[formatIndex + 1]
+    : (path.extname(file || '').slice(1).toLowerCase() === 'csv' ? 'csv' : 'json');
+
+const run = async () => {
+    if (!['import', 'export'].includes(command) || !file || !['json', 'csv'].includes(format)) {
+        console.error('Usage: node scripts/products.js import|export <file> [--dry-run] [--format json|csv]');
+        process.exitCode = 1;
+        return;
+    }
+
+    await mongoose.connect(process.env.MONGODB_CONNECTION);
+
+    if (command === 'export') {
+        await fs.writeFile(file, await exportProducts(format));
+        console.log(`Exported the catalogue to ${file}`);
+        return;
+    }
+
+    const rows = parseProducts(await fs.readFile(file, 'utf8'), format);
+    const report = await importProducts(rows, { dryRun });
+
+    console.log(`${dryRun ? '[dry run] ' : ''}${report.total} rows, ${report.inserted} inserted, ${report.updated} updated, ${report.rejected.length} rejected`);
+    report.rejected.forEach(({ row, title, errors }) => {
+        console.log(`  row ${row}${title ? ` (${title})` : ''}: ${errors.join('; ')}`);
+    });
+
+    if (report.rejected.length) {
+        process.exitCode = 1;
+    }
+};
+
+run()
+    .catch(error => {
+        console.error('Products command failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
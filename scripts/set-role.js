@@ -0,0 +1,37 @@
+/**
+ * Gives a user the admin role or takes it back. There is no API for this on purpose,
+ * the first admin has to be created by someone with database access.
+ *
+ * Usage: node scripts/set-role.js <email> <user|admin>
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/user');
+
+const [email, role] = process.argv.slice(2);
+
+const run = async () => {
+    if (!email || !['user', 'admin'].includes(role)) {
+        console.error('Usage: node scripts/set-role.js <email> <user|admin>');
+        process.exitCode = 1;
+        return;
+    }
+
+    await mongoose.connect(process.env.MONGODB_CONNECTION);
+
+    const user = await User.findOneAndUpdate({ email }, { role }, { new: true });
+    if (!user) {
+        console.error(`No user registered with ${email}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`${user.email} is now ${role}`);
+};
+
+run()
+    .catch(error => {
+        console.error('Setting the role failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
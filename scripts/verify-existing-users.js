@@ -0,0 +1,25 @@
+/**
+ * Marks the accounts created before email verification existed as verified.
+ * They have no `verified` field in the database and would otherwise be locked
+ * out as soon as REQUIRE_VERIFIED_LOGIN is enabled. Run it once before that.
+ *
+ * Usage: node scripts/verify-existing-users.js
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/user');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_CONNECTION);
+
+    const result = await User.updateMany({ verified: { $exists: false } }, { $set: { verified: true } });
+
+    console.log(`${result.modifiedCount} existing users marked as verified`);
+};
+
+run()
+    .catch(error => {
+        console.error('Marking existing users as verified failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -2,6 +2,9 @@ const app = require('./app');
 const mongoose = require('mongoose');
 require('dotenv').config();
 const Products = require('./models/products');
+const { checkMailTransport } = require('./services/mailer');
+
+checkMailTransport();
 
 const connect = process.env.MONGODB_CONNECTION;
 
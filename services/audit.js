@@ -0,0 +1,43 @@
+const AuditLog = require('../models/auditLog');
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Applies `changes` to a product document and returns the fields that really changed,
+ * as `[{ field, from, to }]`, ready for the audit log. The document is not saved.
+ */
+const applyChanges = (product, changes, fields) => fields.reduce((applied, field) => {
+    if (changes[field] === undefined || sameValue(product[field], changes[field])) {
+        return applied;
+    }
+    const from = product[field];
+    product[field] = changes[field];
+    return [...applied, { field, from: Array.isArray(from) ? [...from] : from, to: changes[field] }];
+}, []);
+
+/**
+ * Records a change of the shared catalogue. `userId` is null for changes made by scripts.
+ */
+const recordChange = (userId, action, product, { changes = [], details } = {}) => AuditLog.create({
+    userId,
+    action,
+    productId: product ? product._id : null,
+    title: product ? product.title : undefined,
+    changes,
+    details
+});
+
+const listChanges = async (filter, { page = 1, limit = 20 } = {}) => {
+    const [total, entries] = await Promise.all([
+        AuditLog.countDocuments(filter),
+        AuditLog.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate({ path: 'userId', select: 'name email' })
+    ]);
+
+    return { total, page, limit, totalPages: Math.ceil(total / limit), entries };
+};
+
+module.exports = { applyChanges, recordChange, listChanges };
@@ -0,0 +1,84 @@
+const FORMULAS = ['slimmom', 'mifflin', 'harris'];
+const SEXES = ['female', 'male'];
+
+const ACTIVITY_FACTORS = {
+    sedentary: 1.2,
+    light: 1.375,
+    moderate: 1.55,
+    active: 1.725,
+    very_active: 1.9
+};
+
+// Every kilogram between the current and desired weight lowers the norm by 10 kcal,
+// this is the "weight loss" part of the SlimMom formula.
+const GOAL_KCAL_PER_KG = 10;
+
+const round = value => Math.round(value * 100) / 100;
+
+const basalMetabolism = (formula, { height, age, current_weight, sex }) => {
+    switch (formula) {
+        case 'slimmom':
+            return {
+                bmr: 10 * current_weight + 6.25 * height - 5 * age - 161,
+                expression: `10 * ${current_weight} + 6.25 * ${height} - 5 * ${age} - 161`
+            };
+        case 'mifflin': {
+            const constant = sex === 'male' ? 5 : -161;
+            return {
+                bmr: 10 * current_weight + 6.25 * height - 5 * age + constant,
+                expression: `10 * ${current_weight} + 6.25 * ${height} - 5 * ${age} ${constant < 0 ? '-' : '+'} ${Math.abs(constant)}`
+            };
+        }
+        case 'harris':
+            if (sex === 'male') {
+                return {
+                    bmr: 88.362 + 13.397 * current_weight + 4.799 * height - 5.677 * age,
+                    expression: `88.362 + 13.397 * ${current_weight} + 4.799 * ${height} - 5.677 * ${age}`
+                };
+            }
+            return {
+                bmr: 447.593 + 9.247 * current_weight + 3.098 * height - 4.330 * age,
+                expression: `447.593 + 9.247 * ${current_weight} + 3.098 * ${height} - 4.330 * ${age}`
+            };
+        default:
+            throw new Error(`Unknown formula: ${formula}`);
+    }
+};
+
+/**
+ * Computes the daily calorie norm from the calculator inputs.
+ * `sex` defaults to female and `activity` is only applied when it is sent,
+ * so the default result is exactly the SlimMom formula.
+ * Returns the rounded norm together with a step by step breakdown.
+ */
+const calculateDailyCalories = ({ height, age, current_weight, desired_weight, sex = 'female', activity, formula = 'slimmom' }) => {
+    const { bmr, expression } = basalMetabolism(formula, { height, age, current_weight, sex });
+
+    const activityFactor = activity ? ACTIVITY_FACTORS[activity] : 1;
+    const goalAdjustment = GOAL_KCAL_PER_KG * (current_weight - desired_weight);
+    const dailyCalories = Math.round(bmr * activityFactor - goalAdjustment);
+
+    const explanation = [
+        `Basal metabolic rate (${formula}${formula === 'slimmom' ? '' : `, ${sex}`}): ${expression} = ${round(bmr)} kcal`,
+        activity
+            ? `Activity level "${activity}": ${round(bmr)} * ${activityFactor} = ${round(bmr * activityFactor)} kcal`
+            : 'No activity level given, the basal rate is used as is',
+        `Goal adjustment: ${GOAL_KCAL_PER_KG} * (${current_weight} - ${desired_weight}) = ${goalAdjustment} kcal`,
+        `Daily rate: ${round(bmr * activityFactor)} - ${goalAdjustment} = ${dailyCalories} kcal`
+    ];
+
+    return {
+        dailyCalories,
+        calculation: {
+            formula,
+            sex,
+            activity: activity || null,
+            bmr: round(bmr),
+            activityFactor,
+            goalAdjustment,
+            explanation
+        }
+    };
+};
+
+module.exports = { calculateDailyCalories, FORMULAS, SEXES, ACTIVITY_FACTORS };
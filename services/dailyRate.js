@@ -0,0 +1,62 @@
+const Calculator = require('../models/calculator');
+const { calculateDailyCalories } = require('./calories');
+
+/**
+ * Computes the daily rate from the user's body parameters and stores it on
+ * the user's calculator record. A new history entry is only added when the
+ * rate actually changes, so every day keeps the rate that was in force on that day.
+ */
+const saveDailyRate = async (userId, params) => {
+    const { height, age, current_weight, desired_weight, formula, sex, activity } = params;
+    const { dailyCalories, calculation } = calculateDailyCalories({ height, age, current_weight, desired_weight, sex, activity, formula });
+
+    let calculator = await Calculator.findOne({ userId });
+    if (!calculator) {
+        calculator = new Calculator({ userId, data: [], rateHistory: [] });
+    }
+
+    if (calculator.daily_rate !== dailyCalories) {
+        calculator.rateHistory.push({ daily_rate: dailyCalories, effectiveFrom: new Date() });
+    }
+    calculator.daily_rate = dailyCalories;
+
+    await calculator.save();
+
+    return { dailyCalories, calculation, calculator };
+};
+
+const legacyDailyRate = calculator => {
+    const [data] = calculator.data;
+    if (!data) {
+        return null;
+    }
+    return calculateDailyCalories(data).dailyCalories;
+};
+
+/**
+ * Returns a function giving the daily rate that applied to the user at a moment
+ * (callers pass the end of the day they are interested in). It returns null when
+ * the user has never filled in the calculator. Days before the first calculation
+ * use the first saved rate.
+ */
+const getDailyRateResolver = async userId => {
+    const calculator = await Calculator.findOne({ userId });
+    if (!calculator) {
+        return () => null;
+    }
+
+    if (!calculator.rateHistory.length) {
+        const rate = calculator.daily_rate ?? legacyDailyRate(calculator);
+        return () => rate;
+    }
+
+    const history = [...calculator.rateHistory].sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+    return at => (history.filter(entry => entry.effectiveFrom <= at).pop() || history[0]).daily_rate;
+};
+
+const getDailyRate = async (userId, at = new Date()) => {
+    const rateAt = await getDailyRateResolver(userId);
+    return rateAt(at);
+};
+
+module.exports = { saveDailyRate, getDailyRate, getDailyRateResolver };
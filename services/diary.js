@@ -0,0 +1,266 @@
+const DiaryEntry = require('../models/diaryEntry');
+const Product = require('../models/products');
+const { MACROS, scaleNutrients } = require('./nutrition');
+const { localDate, zonedTimeToUtc, dayRange } = require('./timezone');
+const { getBodyParameters } = require('./profile');
+const { getBloodTypeIndex, isForbidden } = require('./forbiddenProducts');
+const { getRestrictedCategories, productRestrictions } = require('./restrictions');
+
+const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * Entries of one day (`range` from `dayRange`), in the order they were eaten.
+ */
+const getDayEntries = (userId, { start, end }) => DiaryEntry.find({
+    userId,
+    date: { $gte: start, $lte: end }
+}).sort({ date: 1 }).populate({
+    path: 'productId', 
+    select: 'title' 
+});
+
+const macroSums = MACROS.reduce((sums, macro) => ({ ...sums, [macro]: { $sum: `$${macro}` } }), {});
+
+/**
+ * Calories consumed in one day, in total and per meal slot, and grams of each macro.
+ * Entries of products without a macro value count as 0 g of it.
+ */
+const getDayTotals = async (userId, { start, end }) => {
+    const perMeal = await DiaryEntry.aggregate([
+        { $match: { userId, date: { $gte: start, $lte: end } } },
+        { $group: { _id: '$meal', consumed: { $sum: '$product_Calories' }, count: { $sum: 1 }, ...macroSums } }
+    ]);
+
+    const meals = MEALS.map(meal => {
+        const total = perMeal.find(item => item._id === meal);
+        return { meal, consumed: total ? total.consumed : 0 };
+    });
+
+    return {
+        consumed: meals.reduce((sum, meal) => sum + meal.consumed, 0),
+        entries: perMeal.reduce((sum, meal) => sum + meal.count, 0),
+        macros: MACROS.reduce((totals, macro) => ({
+            ...totals,
+            [macro]: Math.round(perMeal.reduce((sum, meal) => sum + meal[macro], 0) * 10) / 10
+        }), {}),
+        meals
+    };
+};
+
+/**
+ * Entries of one day whose product is not recommended for the blood type at `bloodIndex`:
+ * how many there are and their calories.
+ */
+const getNotRecommendedTotals = async (userId, { start, end }, bloodIndex) => {
+    if (bloodIndex < 1) {
+        return { entries: 0, calories: 0 };
+    }
+
+    const [totals] = await DiaryEntry.aggregate([
+        { $match: { userId, productId: { $ne: null }, date: { $gte: start, $lte: end } } },
+        { $lookup: { from: Product.collection.name, localField: 'productId', foreignField: '_id', as: 'product' } },
+        { $unwind: '$product' },
+        { $match: { [`product.groupBloodNotAllowed.${bloodIndex}`]: true } },
+        { $group: { _id: null, entries: { $sum: 1 }, calories: { $sum: '$product_Calories' } } }
+    ]);
+
+    return totals ? { entries: totals.entries, calories: totals.calories } : { entries: 0, calories: 0 };
+};
+
+/**
+ * Calories consumed per day of the given time zone between `from` and `to` (both inclusive),
+ * as `[{ date: 'YYYY-MM-DD', consumed }]` sorted by date. Days without entries are left out.
+ */
+const getDailyTotals = (userId, from, to, timeZone = 'UTC') => DiaryEntry.aggregate([
+    { $match: { userId, date: { $gte: from, $lte: to } } },
+    {
+        $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone } },
+            consumed: { $sum: '$product_Calories' }
+        }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: '$_id', consumed: 1 } }
+]);
+
+/**
+ * Groups diary entries by meal slot, in the order of the day, with the calories of each meal.
+ */
+const groupByMeal = entries => MEALS.map(meal => {
+    const mealEntries = entries.filter(entry => entry.meal === meal);
+    return {
+        meal,
+        entries: mealEntries,
+        consumed: mealEntries.reduce((sum, entry) => sum + entry.product_Calories, 0)
+    };
+});
+
+// Without a time, entries for today are logged now and backfilled ones at noon of that day
+const entryTime = (date, time, timeZone) => {
+    if (time) {
+        return zonedTimeToUtc(date, time, timeZone);
+    }
+    return date === localDate(new Date(), timeZone) ? new Date() : zonedTimeToUtc(date, '12:00', timeZone);
+};
+
+/**
+ * Logs `product_weight` grams of a product on `date` ('YYYY-MM-DD' in `timeZone`).
+ * The same product logged again in the same meal of the same day adds to the existing entry.
+ */
+const logProduct = async (userId, product, { product_weight, meal, date, time }, timeZone) => {
+    const entryDate = entryTime(date, time, timeZone);
+    const { start, end } = dayRange(date, timeZone);
+
+    let diaryEntry = await DiaryEntry.findOne({
+        userId,
+        productId: product._id,
+        meal,
+        date: { $gte: start, $lte: end }
+    });
+
+    if (diaryEntry) {
+        diaryEntry.product_weight += product_weight;
+    } else {
+        diaryEntry = new DiaryEntry({
+            userId,
+            productId: product._id,
+            product_weight,
+            meal,
+            date: entryDate
+        });
+    }
+    Object.assign(diaryEntry, scaleNutrients(product, diaryEntry.product_weight));
+
+    return diaryEntry.save();
+};
+
+/**
+ * Logs `product_weight` grams of a recipe with its `recipe` snapshot (title and values
+ * per 100 g). Every portion is a separate entry since the recipe may have changed in between.
+ */
+const logRecipe = (userId, { recipeId, recipe }, { product_weight, meal, date, time }, timeZone) => {
+    const diaryEntry = new DiaryEntry({
+        userId,
+        recipeId,
+        recipe,
+        product_weight,
+        meal,
+        date: entryTime(date, time, timeZone),
+        ...scaleNutrients(recipe, product_weight)
+    });
+    return diaryEntry.save();
+};
+
+/**
+ * Checks products about to be logged against the user's blood type and dietary restrictions.
+ * `rejected` is set when some are not recommended for the blood type and the profile's
+ * `blood_type_check` is `reject`, nothing should be logged then. Otherwise `warnings`
+ * lists what the response reports, and `flagged` the ids of the products not recommended.
+ */
+const checkProducts = async (user, products) => {
+    const { blood_type } = await getBodyParameters(user);
+    const bloodIndex = getBloodTypeIndex(blood_type);
+    const notRecommended = products.filter(product => isForbidden(product, bloodIndex));
+    const flagged = new Set(notRecommended.map(product => String(product._id)));
+
+    if (notRecommended.length && user.profile.blood_type_check === 'reject') {
+        return { rejected: notRecommended, warnings: [], flagged };
+    }
+
+    const restricted = await getRestrictedCategories(user);
+    const warnings = [
+        ...notRecommended.map(product => ({
+            type: 'blood_type',
+            productId: product._id,
+            title: product.title,
+            category: product.categories,
+            blood_type
+        })),
+        ...products
+            .filter(product => productRestrictions(product, restricted).length)
+            .map(product => ({
+                type: 'restriction',
+                productId: product._id,
+                title: product.title,
+                category: product.categories,
+                restrictions: productRestrictions(product, restricted)
+            }))
+    ];
+
+    return { rejected: null, warnings, flagged };
+};
+
+/**
+ * Products the user logged in the last `days` days, as two lists: the most recently
+ * logged first and the most often logged first. Each item has the usual portion
+ * (the weight logged last time) so it can be logged again in one tap.
+ */
+const getRecentProducts = async (userId, { days = 90, limit = 10 } = {}) => {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    // Products deleted since they were logged are left out
+    const withProduct = [
+        { $lookup: { from: Product.collection.name, localField: '_id', foreignField: '_id', as: 'product' } },
+        { $unwind: '$product' },
+        {
+            $project: {
+                _id: 0,
+                productId: '$_id',
+                title: '$product.title',
+                categories: '$product.categories',
+                calories: '$product.calories',
+                count: 1,
+                lastLoggedAt: 1,
+                product_weight: 1,
+                meal: 1
+            }
+        }
+    ];
+
+    const [result] = await DiaryEntry.aggregate([
+        { $match: { userId, productId: { $ne: null }, date: { $gte: since } } },
+        { $sort: { date: -1 } },
+        {
+            $group: {
+                _id: '$productId',
+                count: { $sum: 1 },
+                lastLoggedAt: { $first: '$date' },
+                product_weight: { $first: '$product_weight' },
+                meal: { $first: '$meal' }
+            }
+        },
+        {
+            $facet: {
+                recent: [{ $sort: { lastLoggedAt: -1 } }, { $limit: limit }, ...withProduct],
+                frequent: [{ $sort: { count: -1, lastLoggedAt: -1 } }, { $limit: limit }, ...withProduct]
+            }
+        }
+    ]);
+
+    return result;
+};
+
+/**
+ * Entries of the day `from` (optionally only one meal), for copying onto another day.
+ */
+const getEntriesToCopy = (userId, from, meal, timeZone) => {
+    const { start, end } = dayRange(from, timeZone);
+    const filter = { userId, date: { $gte: start, $lte: end } };
+    if (meal) {
+        filter.meal = meal;
+    }
+    return DiaryEntry.find(filter).sort({ date: 1 });
+};
+
+module.exports = {
+    MEALS,
+    getDayEntries,
+    getDayTotals,
+    getNotRecommendedTotals,
+    getDailyTotals,
+    groupByMeal,
+    logProduct,
+    logRecipe,
+    checkProducts,
+    getRecentProducts,
+    getEntriesToCopy
+};
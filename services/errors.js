@@ -0,0 +1,29 @@
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    422: 'UNPROCESSABLE_ENTITY',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR'
+};
+
+/**
+ * An error that ends the request with `status`. Routes pass it to `next` and the
+ * error handler in app.js sends it as `{ code, message, details }`.
+ * `details` lists the fields at fault as `[{ location, field, message }]`.
+ */
+class HttpError extends Error {
+    constructor(status, message, { code, details = [], headers = {} } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code || ERROR_CODES[status] || 'ERROR';
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+module.exports = { ERROR_CODES, HttpError };
@@ -0,0 +1,113 @@
+const Product = require('../models/products');
+const { categoryPatterns } = require('./restrictions');
+
+const BLOOD_TYPES = ['0(I)', 'A(II)', 'B(III)', 'AB(IV)'];
+const SORT_FIELDS = ['title', '-title', 'calories', '-calories'];
+
+/**
+ * Position of a blood type inside `groupBloodNotAllowed`.
+ * The imported arrays start with a `null` placeholder, so blood group I is at index 1.
+ */
+const getBloodTypeIndex = bloodType => {
+    const index = BLOOD_TYPES.indexOf(bloodType);
+    return index === -1 ? -1 : index + 1;
+};
+
+/**
+ * Whether a product is marked as not recommended for the blood type at `bloodIndex`.
+ * Nothing is forbidden when the blood type is unknown (index -1).
+ */
+const isForbidden = (product, bloodIndex) => bloodIndex > 0
+    && Array.isArray(product.groupBloodNotAllowed)
+    && product.groupBloodNotAllowed[bloodIndex] === true;
+
+/**
+ * Catalogue products not recommended for the blood type or, when given, of the
+ * categories ruled out by the user's dietary restrictions.
+ */
+const forbiddenFilter = (bloodIndex, restrictedCategories = []) => {
+    const byBloodType = { [`groupBloodNotAllowed.${bloodIndex}`]: true };
+    if (!restrictedCategories.length) {
+        return { owner: null, ...byBloodType };
+    }
+    return { owner: null, $or: [byBloodType, { categories: { $in: categoryPatterns(restrictedCategories) } }] };
+};
+
+const toSortStage = sort => {
+    const field = sort.replace('-', '');
+    const direction = sort.startsWith('-') ? -1 : 1;
+    return field === 'title' ? { title: direction } : { [field]: direction, title: 1 };
+};
+
+const listForbiddenProducts = async (bloodIndex, { page = 1, limit = 20, sort = 'title' } = {}) => {
+    const filter = forbiddenFilter(bloodIndex);
+
+    const [total, products] = await Promise.all([
+        Product.countDocuments(filter),
+        Product.find(filter)
+            .sort(toSortStage(sort))
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+
+    return { total, page, limit, totalPages: Math.ceil(total / limit), products };
+};
+
+const groupForbiddenProducts = async (bloodIndex, { page = 1, limit = 20, sort = 'title' } = {}) => {
+    const filter = forbiddenFilter(bloodIndex);
+
+    const [total, [result]] = await Promise.all([
+        Product.countDocuments(filter),
+        Product.aggregate([
+            { $match: filter },
+            { $sort: toSortStage(sort) },
+            { $project: { titleWords: 0 } },
+            { $group: { _id: '$categories', count: { $sum: 1 }, products: { $push: '$$ROOT' } } },
+            { $sort: { _id: 1 } },
+            {
+                $facet: {
+                    totalCategories: [{ $count: 'count' }],
+                    groups: [
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit },
+                        { $project: { _id: 0, category: '$_id', count: 1, products: 1 } }
+                    ]
+                }
+            }
+        ])
+    ]);
+
+    const totalCategories = result.totalCategories.length ? result.totalCategories[0].count : 0;
+
+    return { total, totalCategories, page, limit, totalPages: Math.ceil(totalCategories / limit), groups: result.groups };
+};
+
+/**
+ * Picks `size` random forbidden products, sorted by title, for the landing page teaser.
+ */
+const sampleForbiddenProducts = async (bloodIndex, size = 4, restrictedCategories = []) => {
+    const filter = forbiddenFilter(bloodIndex, restrictedCategories);
+
+    const [total, products] = await Promise.all([
+        Product.countDocuments(filter),
+        Product.aggregate([
+            { $match: filter },
+            { $sample: { size } },
+            { $project: { titleWords: 0 } }
+        ])
+    ]);
+
+    products.sort((a, b) => a.title.localeCompare(b.title));
+
+    return { total, products };
+};
+
+module.exports = {
+    BLOOD_TYPES,
+    SORT_FIELDS,
+    getBloodTypeIndex,
+    isForbidden,
+    listForbiddenProducts,
+    groupForbiddenProducts,
+    sampleForbiddenProducts
+};
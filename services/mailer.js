@@ -0,0 +1,58 @@
+const fs = require('fs/promises');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Mail transports. Each one receives `{ from, to, subject, text }`.
+ * `console` and `file` are meant for local development and tests,
+ * a real provider can be added with `registerTransport`. `console` is the default
+ * in development and tests, elsewhere MAIL_TRANSPORT has to be set.
+ */
+const transports = {
+    console: async message => {
+        console.log('Mail sent:', message);
+    },
+    file: async message => {
+        const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+        await fs.mkdir(dir, { recursive: true });
+
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+        await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+    }
+};
+
+const registerTransport = (name, send) => {
+    transports[name] = send;
+};
+
+// Mails carry live reset and verification links, so only development and tests may log them by default
+const transportName = () => process.env.MAIL_TRANSPORT
+    || (['development', 'test'].includes(process.env.NODE_ENV) ? 'console' : null);
+
+/**
+ * Throws when no mail transport is configured. Called on startup so a missing
+ * MAIL_TRANSPORT is noticed before the first mail is lost.
+ */
+const checkMailTransport = () => {
+    if (!transportName()) {
+        throw new Error('MAIL_TRANSPORT must be set unless NODE_ENV is development or test');
+    }
+};
+
+const sendMail = async ({ to, subject, text }) => {
+    checkMailTransport();
+    const name = transportName();
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    await transport({
+        from: process.env.MAIL_FROM || 'SlimMom <no-reply@slimmom.app>',
+        to,
+        subject,
+        text
+    });
+};
+
+module.exports = { sendMail, registerTransport, checkMailTransport };
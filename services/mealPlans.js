@@ -0,0 +1,130 @@
+const Product = require('../models/products');
+const { MEALS } = require('./diary');
+const { addDays } = require('./timezone');
+const { categoryPatterns } = require('./restrictions');
+
+// Share of the daily rate for each meal slot, and how many products it gets
+const MEAL_SHARES = { breakfast: 0.25, lunch: 0.35, dinner: 0.3, snack: 0.1 };
+const ITEMS_PER_MEAL = { breakfast: 2, lunch: 3, dinner: 3, snack: 1 };
+
+const MIN_PORTION = 20;
+const MAX_PORTION = 400;
+const PORTION_STEP = 5;
+
+// Days that miss the tolerance are drawn again with other products, up to this many times
+const MAX_ATTEMPTS = 25;
+
+const PERIOD_DAYS = { day: 1, week: 7 };
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Random numbers in [0, 1) from a 32-bit seed (mulberry32), so a seed always gives the same plan.
+ */
+const createRandom = seed => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const randomSeed = () => Math.floor(Math.random() * 2 ** 31);
+
+/**
+ * Products a plan can use: catalogue and the user's own products with calories that are
+ * not forbidden for the blood type, outside the excluded categories (matched ignoring case).
+ * Sorted by id so the same seed picks the same products.
+ */
+const findPlanProducts = (userId, bloodIndex, excludedCategories = []) => Product.find({
+    ...Product.visibleTo(userId),
+    [`groupBloodNotAllowed.${bloodIndex}`]: { $ne: true },
+    categories: { $nin: categoryPatterns(excludedCategories) },
+    calories: { $gt: 0 }
+}).select('title categories calories').sort({ _id: 1 }).lean();
+
+const portion = (calories, product) => {
+    const grams = Math.round((calories / product.calories) * 100 / PORTION_STEP) * PORTION_STEP;
+    return Math.min(MAX_PORTION, Math.max(MIN_PORTION, grams));
+};
+
+const buildItem = (product, product_weight) => ({
+    productId: product._id,
+    title: product.title,
+    categories: product.categories,
+    product_weight,
+    calories: round((product.calories * product_weight) / 100)
+});
+
+const sumCalories = items => round(items.reduce((sum, item) => sum + item.calories, 0));
+
+/**
+ * One day of meals: each meal gets its share of `dailyRate` split evenly between
+ * products drawn without repeats. Portions are then scaled together towards the rate,
+ * which rounding and the portion limits may still leave a little off.
+ */
+const drawDay = (random, products, dailyRate, meals) => {
+    const totalShare = meals.reduce((sum, meal) => sum + MEAL_SHARES[meal], 0);
+    const used = new Set();
+
+    const drafts = meals.map(meal => {
+        const target = (dailyRate * MEAL_SHARES[meal]) / totalShare;
+        const count = ITEMS_PER_MEAL[meal];
+        const picked = [];
+        while (picked.length < count && used.size < products.length) {
+            const index = Math.floor(random() * products.length);
+            if (!used.has(index)) {
+                used.add(index);
+                picked.push(products[index]);
+            }
+        }
+        return { meal, target, products: picked };
+    });
+
+    const portions = factor => drafts.map(draft => ({
+        meal: draft.meal,
+        items: draft.products.map(product => buildItem(product, portion((draft.target * factor) / draft.products.length, product)))
+    }));
+
+    const first = portions(1);
+    const calories = sumCalories(first.flatMap(meal => meal.items));
+    return calories ? portions(dailyRate / calories) : first;
+};
+
+/**
+ * Menus for `days` days from `startDate` that stay within `tolerance` percent of the
+ * daily rate. The same products, seed and settings always give the same plan.
+ * Returns null when no day can be made to fit, e.g. with too few allowed products.
+ */
+const generatePlan = (products, { dailyRate, startDate, days, tolerance, meals = MEALS, seed }) => {
+    const random = createRandom(seed);
+    const slots = MEALS.filter(meal => meals.includes(meal));
+    const allowed = (dailyRate * tolerance) / 100;
+    const planDays = [];
+
+    for (let offset = 0; offset < days; offset += 1) {
+        let day = null;
+        for (let attempt = 0; attempt < MAX_ATTEMPTS && !day; attempt += 1) {
+            const drawn = drawDay(random, products, dailyRate, slots);
+            const calories = sumCalories(drawn.flatMap(meal => meal.items));
+            if (Math.abs(calories - dailyRate) <= allowed) {
+                day = {
+                    date: addDays(startDate, offset),
+                    calories,
+                    meals: drawn.map(meal => ({ ...meal, calories: sumCalories(meal.items) }))
+                };
+            }
+        }
+        if (!day) {
+            return null;
+        }
+        planDays.push(day);
+    }
+
+    return planDays;
+};
+
+module.exports = { PERIOD_DAYS, randomSeed, findPlanProducts, generatePlan };
@@ -0,0 +1,49 @@
+const MACROS = ['protein', 'fat', 'carbohydrate', 'fibre', 'sugar'];
+
+// Macros that provide energy and make up the percentage split, with their kcal per gram
+const ENERGY_PER_GRAM = { protein: 4, fat: 9, carbohydrate: 4 };
+
+const DEFAULT_MACRO_TARGETS = { protein: 20, fat: 30, carbohydrate: 50 };
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Calories and macros of `weight` grams of a product, from its values per 100 g.
+ * Macros the product does not define are null.
+ */
+const scaleNutrients = (product, weight) => {
+    const nutrients = { product_Calories: (product.calories * weight) / 100 };
+    MACROS.forEach(macro => {
+        const per100 = product[macro];
+        nutrients[macro] = per100 === undefined || per100 === null ? null : round((per100 * weight) / 100);
+    });
+    return nutrients;
+};
+
+/**
+ * Share of the energy coming from protein, fat and carbohydrate, in percent.
+ * All null when none of them is known.
+ */
+const macroSplit = totals => {
+    const energy = Object.keys(ENERGY_PER_GRAM).map(macro => (totals[macro] || 0) * ENERGY_PER_GRAM[macro]);
+    const total = energy.reduce((sum, value) => sum + value, 0);
+
+    return Object.keys(ENERGY_PER_GRAM).reduce((split, macro, index) => {
+        split[macro] = total ? round((energy[index] / total) * 100) : null;
+        return split;
+    }, {});
+};
+
+/**
+ * Daily macro targets in grams, from the user's percentages of the daily rate.
+ */
+const macroTargets = (percentages, dailyRate) => Object.keys(ENERGY_PER_GRAM).reduce((targets, macro) => {
+    const percentage = (percentages && percentages[macro]) ?? DEFAULT_MACRO_TARGETS[macro];
+    targets[macro] = {
+        percentage,
+        grams: dailyRate ? round((dailyRate * percentage) / 100 / ENERGY_PER_GRAM[macro]) : null
+    };
+    return targets;
+}, {});
+
+module.exports = { MACROS, DEFAULT_MACRO_TARGETS, scaleNutrients, macroSplit, macroTargets };
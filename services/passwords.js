@@ -0,0 +1,70 @@
+const User = require('../models/user');
+const { sendMail } = require('./mailer');
+const { revokeAllTokens } = require('./sessions');
+const { randomToken, hashToken } = require('./tokens');
+require('dotenv').config();
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES || 60);
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * Mails a single-use reset link to the user. Unknown addresses are ignored
+ * silently so the endpoint cannot be used to find out who is registered.
+ */
+const requestPasswordReset = async email => {
+    const user = await User.findOne({ email });
+    if (!user) {
+        return;
+    }
+
+    const token = randomToken();
+    user.passwordReset = {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+    };
+    await user.save();
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your SlimMom password',
+        text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes.\n\n${APP_URL}/reset-password?token=${token}\n\nIf you did not ask for this, you can ignore this email.`
+    });
+};
+
+/**
+ * Sets a new password and logs the user out everywhere.
+ * Returns false when the token is unknown, used or expired.
+ */
+const resetPassword = async (token, password) => {
+    const user = await User.findOne({
+        'passwordReset.tokenHash': hashToken(token),
+        'passwordReset.expiresAt': { $gt: new Date() }
+    });
+    if (!user) {
+        return false;
+    }
+
+    user.password = password;
+    user.passwordReset = undefined;
+    await revokeAllTokens(user, 'revoked');
+
+    return true;
+};
+
+/**
+ * Changes the password of a logged in user after checking the old one.
+ * Every other session is ended, the caller gets a fresh one from the route.
+ */
+const changePassword = async (user, oldPassword, newPassword) => {
+    const isPasswordValid = await user.isValidPassword(oldPassword);
+    if (!isPasswordValid) {
+        return false;
+    }
+
+    user.password = newPassword;
+    await revokeAllTokens(user, 'revoked');
+
+    return true;
+};
+
+module.exports = { requestPasswordReset, resetPassword, changePassword };
@@ -0,0 +1,204 @@
+const Product = require('../models/products');
+const { validate } = require('../validations/products');
+const { MACROS } = require('./nutrition');
+const { recordChange } = require('./audit');
+
+const FIELDS = ['categories', 'weight', 'title', 'calories', 'groupBloodNotAllowed', ...MACROS];
+
+// Metadata of exported or dumped documents, not part of a product
+const IGNORED_FIELDS = ['_id', '__v', 'owner', 'createdBy', 'createdAt', 'updatedAt'];
+
+/**
+ * Splits CSV text into rows of cells. Handles quoted cells with commas,
+ * escaped quotes ("") and line breaks, and both \n and \r\n line endings.
+ */
+const parseCsvRows = text => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i += 1;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Reads products from CSV with a header row. Empty cells are left out and
+ * `groupBloodNotAllowed` holds the JSON array, e.g. `"[null,true,false,false,true]"`.
+ */
+const parseCsv = text => {
+    const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    const columns = header.map(column => column.trim());
+
+    return rows.map(cells => columns.reduce((product, column, index) => {
+        const value = (cells[index] || '').trim();
+        if (value === '') {
+            return product;
+        }
+        if (column === 'groupBloodNotAllowed') {
+            try {
+                product[column] = JSON.parse(value);
+            } catch (err) {
+                product[column] = value;
+            }
+        } else {
+            product[column] = value;
+        }
+        return product;
+    }, {}));
+};
+
+/**
+ * Reads products from a JSON array, the format of the original catalogue dump.
+ */
+const parseJson = text => {
+    const products = JSON.parse(text);
+    if (!Array.isArray(products)) {
+        throw new SyntaxError('Expected a JSON array of products');
+    }
+    return products;
+};
+
+const parseProducts = (text, format) => (format === 'csv' ? parseCsv(text) : parseJson(text));
+
+const productKey = product => `${product.categories}\u0000${product.title}`;
+
+/**
+ * Validates every row and upserts the valid ones into the shared catalogue,
+ * matching existing products by title and category. Rows are numbered from 1.
+ * With `dryRun` nothing is written but the report is the same.
+ * Real imports are recorded in the audit log under `userId` (null for the CLI).
+ */
+const importProducts = async (rows, { dryRun = false, userId = null } = {}) => {
+    const rejected = [];
+    const accepted = [];
+    const seen = {};
+
+    rows.forEach((row, index) => {
+        const line = index + 1;
+
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            rejected.push({ row: line, errors: ['Row must be an object'] });
+            return;
+        }
+
+        const fields = { ...row };
+        IGNORED_FIELDS.forEach(field => delete fields[field]);
+
+        const { error, value } = validate(fields);
+        if (error) {
+            rejected.push({ row: line, title: row.title, errors: error.details.map(detail => detail.message) });
+            return;
+        }
+
+        const key = productKey(value);
+        if (seen[key]) {
+            rejected.push({ row: line, title: value.title, errors: [`Duplicate of row ${seen[key]}`] });
+            return;
+        }
+        seen[key] = line;
+        accepted.push(value);
+    });
+
+    const existing = await Product.find({
+        owner: null,
+        title: { $in: accepted.map(product => product.title) }
+    }).select('title categories');
+    const existingKeys = new Set(existing.map(productKey));
+    const updated = accepted.filter(product => existingKeys.has(productKey(product))).length;
+
+    if (!dryRun && accepted.length) {
+        await Product.bulkWrite(accepted.map(product => ({
+            updateOne: {
+                filter: { owner: null, title: product.title, categories: product.categories },
+                update: { $set: { ...product, titleWords: Product.titleWords(product.title) } },
+                upsert: true
+            }
+        })), { ordered: false });
+    }
+
+    const report = {
+        dryRun,
+        total: rows.length,
+        inserted: accepted.length - updated,
+        updated,
+        rejected
+    };
+
+    if (!dryRun) {
+        await recordChange(userId, 'import', null, {
+            details: { total: report.total, inserted: report.inserted, updated, rejected: rejected.length }
+        });
+    }
+
+    return report;
+};
+
+const csvCell = value => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = Array.isArray(value) ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The shared catalogue, sorted by category and title, as JSON or CSV text
+ * that `importProducts` reads back unchanged.
+ */
+const exportProducts = async format => {
+    const products = await Product.find({ owner: null })
+        .sort({ categories: 1, title: 1 })
+        .select(FIELDS.join(' '))
+        .lean();
+
+    const rows = products.map(product => FIELDS.reduce((row, field) => {
+        if (product[field] !== undefined && product[field] !== null) {
+            row[field] = product[field];
+        }
+        return row;
+    }, {}));
+
+    if (format !== 'csv') {
+        return JSON.stringify(rows, null, 2);
+    }
+
+    const lines = rows.map(row => FIELDS.map(field => csvCell(row[field])).join(','));
+    return [FIELDS.join(','), ...lines].join('\n') + '\n';
+};
+
+module.exports = { parseProducts, importProducts, exportProducts };
@@ -0,0 +1,101 @@
+const Product = require('../models/products');
+const { categoryPatterns } = require('./restrictions');
+
+const MAX_WORDS = 10;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Filters shared by both search modes. `bloodIndex` (see `getBloodTypeIndex`) leaves out
+ * the products not recommended for that blood type, `excludedCategories` those of
+ * categories the user does not eat.
+ */
+const searchFilter = (userId, { category, minCalories, maxCalories, bloodIndex, excludedCategories = [] } = {}) => {
+    const filter = { ...Product.visibleTo(userId) };
+
+    if (category || excludedCategories.length) {
+        filter.categories = {};
+        if (category) {
+            filter.categories.$eq = category;
+        }
+        if (excludedCategories.length) {
+            filter.categories.$nin = categoryPatterns(excludedCategories);
+        }
+    }
+    if (minCalories !== undefined || maxCalories !== undefined) {
+        filter.calories = {};
+        if (minCalories !== undefined) {
+            filter.calories.$gte = minCalories;
+        }
+        if (maxCalories !== undefined) {
+            filter.calories.$lte = maxCalories;
+        }
+    }
+    if (bloodIndex > 0) {
+        filter[`groupBloodNotAllowed.${bloodIndex}`] = { $ne: true };
+    }
+
+    return filter;
+};
+
+const toPage = (total, page, limit, products) => ({ total, page, limit, totalPages: Math.ceil(total / limit), products });
+
+/**
+ * Full word search on the text index, best matches first.
+ * Every product carries its relevance as `score`.
+ */
+const textSearch = async (query, filter, { page = 1, limit = 20 } = {}) => {
+    const match = { ...filter, $text: { $search: query } };
+
+    const [total, products] = await Promise.all([
+        Product.countDocuments(match),
+        Product.find(match, { score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' }, title: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+
+    return toPage(total, page, limit, products);
+};
+
+/**
+ * Autocomplete: every word of the query has to start a word of the title.
+ * The words are matched by anchored prefixes on the indexed `titleWords`.
+ * Titles starting with the whole query come first, then shorter titles.
+ */
+const prefixSearch = async (query, filter, { page = 1, limit = 20 } = {}) => {
+    const words = Product.titleWords(query).slice(0, MAX_WORDS);
+    if (!words.length) {
+        return toPage(0, page, limit, []);
+    }
+    const match = {
+        ...filter,
+        $and: words.map(word => ({ titleWords: new RegExp(`^${escapeRegex(word)}`) }))
+    };
+
+    const [result] = await Product.aggregate([
+        { $match: match },
+        {
+            $addFields: {
+                startsWithQuery: { $regexMatch: { input: '$title', regex: new RegExp(`^${escapeRegex(query)}`, 'i') } },
+                titleLength: { $strLenCP: { $ifNull: ['$title', ''] } }
+            }
+        },
+        { $sort: { startsWithQuery: -1, titleLength: 1, title: 1 } },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                products: [
+                    { $skip: (page - 1) * limit },
+                    { $limit: limit },
+                    { $project: { startsWithQuery: 0, titleLength: 0, titleWords: 0 } }
+                ]
+            }
+        }
+    ]);
+
+    const total = result.total.length ? result.total[0].count : 0;
+    return toPage(total, page, limit, result.products);
+};
+
+module.exports = { searchFilter, textSearch, prefixSearch };
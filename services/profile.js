@@ -0,0 +1,131 @@
+const { differenceInYears } = require('date-fns');
+const Calculator = require('../models/calculator');
+const { saveDailyRate, getDailyRate } = require('./dailyRate');
+const { sendVerification } = require('./verification');
+const { macroTargets } = require('./nutrition');
+
+const BODY_FIELDS = ['height', 'age', 'current_weight', 'desired_weight', 'blood_type'];
+const RATE_FIELDS = ['height', 'age', 'birthDate', 'current_weight', 'desired_weight', 'sex', 'activity', 'formula'];
+const PROFILE_FIELDS = ['sex', 'birthDate', 'height', 'current_weight', 'desired_weight', 'blood_type', 'activity', 'formula', 'units', 'timezone', 'macro_targets', 'blood_type_check'];
+const RESTRICTION_FIELDS = ['diets', 'excludedCategories'];
+
+const profileAge = profile => (profile.birthDate ? differenceInYears(new Date(), profile.birthDate) : profile.age);
+
+const isComplete = params => BODY_FIELDS.every(field => params[field] !== undefined && params[field] !== null);
+
+/**
+ * Body parameters used for the daily rate and the blood type filters.
+ * Users who only ever used the old calculator still have them in the
+ * `Calculator.data` array, which is used as a fallback for missing fields.
+ */
+const getBodyParameters = async user => {
+    const profile = user.profile || {};
+    const params = {
+        height: profile.height,
+        age: profileAge(profile),
+        current_weight: profile.current_weight,
+        desired_weight: profile.desired_weight,
+        blood_type: profile.blood_type,
+        sex: profile.sex,
+        activity: profile.activity,
+        formula: profile.formula
+    };
+
+    if (isComplete(params)) {
+        return params;
+    }
+
+    const calculator = await Calculator.findOne({ userId: user._id });
+    const legacy = calculator && calculator.data[0];
+    if (legacy) {
+        BODY_FIELDS.forEach(field => {
+            params[field] = params[field] ?? legacy[field];
+        });
+    }
+
+    return params;
+};
+
+const formatProfile = async user => {
+    const params = await getBodyParameters(user);
+    const profile = user.profile || {};
+    const dailyRate = await getDailyRate(user._id);
+
+    return {
+        name: user.name,
+        email: user.email,
+        verified: user.verified,
+        ...params,
+        birthDate: profile.birthDate || null,
+        units: profile.units,
+        timezone: profile.timezone,
+        daily_rate: dailyRate,
+        macro_targets: macroTargets(profile.macro_targets, dailyRate),
+        blood_type_check: profile.blood_type_check || 'warn',
+        restrictions: {
+            diets: (profile.restrictions && profile.restrictions.diets) || [],
+            excludedCategories: (profile.restrictions && profile.restrictions.excludedCategories) || []
+        }
+    };
+};
+
+/**
+ * Applies profile changes and, when the body parameters changed and are complete,
+ * stores the new daily rate. Returns the rate calculation or null.
+ * Sending `age` without a matching `birthDate` drops the stored birth date,
+ * and a new email address has to be verified again.
+ */
+const updateProfile = async (user, changes) => {
+    const emailChanged = changes.email !== undefined && changes.email !== user.email;
+
+    if (changes.name !== undefined) {
+        user.name = changes.name;
+    }
+    if (emailChanged) {
+        user.email = changes.email;
+        user.verified = false;
+    }
+
+    PROFILE_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) {
+            user.profile[field] = changes[field];
+        }
+    });
+
+    // Each list of the restrictions can be changed on its own
+    RESTRICTION_FIELDS.forEach(field => {
+        if (changes.restrictions && changes.restrictions[field] !== undefined) {
+            user.profile.restrictions[field] = changes.restrictions[field];
+        }
+    });
+
+    if (changes.birthDate !== undefined) {
+        user.profile.age = undefined;
+    } else if (changes.age !== undefined) {
+        if (user.profile.birthDate && profileAge(user.profile) !== changes.age) {
+            user.profile.birthDate = undefined;
+        }
+        user.profile.age = changes.age;
+    }
+
+    await user.save();
+
+    // The change is saved either way, a lost email can be sent again from /resend-verification
+    if (emailChanged) {
+        try {
+            await sendVerification(user);
+        } catch (error) {
+            console.error('Sending the verification email failed:', error);
+        }
+    }
+
+    const rateChanged = RATE_FIELDS.some(field => changes[field] !== undefined);
+    const params = await getBodyParameters(user);
+    if (!rateChanged || !isComplete(params)) {
+        return null;
+    }
+
+    return saveDailyRate(user._id, params);
+};
+
+module.exports = { getBodyParameters, formatProfile, updateProfile };
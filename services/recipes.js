@@ -0,0 +1,98 @@
+const Product = require('../models/products');
+const { MACROS, scaleNutrients } = require('./nutrition');
+
+const NUTRIENTS = ['calories', ...MACROS];
+
+const round = value => Math.round(value * 10) / 10;
+
+const scaleAll = (values, factor) => NUTRIENTS.reduce((scaled, nutrient) => {
+    scaled[nutrient] = values[nutrient] === null ? null : round(values[nutrient] * factor);
+    return scaled;
+}, {});
+
+/**
+ * Calories and macros of a recipe, from its ingredients and the `products` they reference:
+ * for the whole dish, per 100 g of the cooked dish and per serving. Cooking changes the
+ * weight but not the energy, so the values per 100 g use the yield weight when it is set.
+ * A macro is null when one of the ingredients does not define it.
+ */
+const recipeNutrition = (recipe, products) => {
+    const total = NUTRIENTS.reduce((sums, nutrient) => ({ ...sums, [nutrient]: 0 }), {});
+    let raw_weight = 0;
+
+    recipe.ingredients.forEach(ingredient => {
+        const product = products.find(candidate => candidate._id.equals(ingredient.productId));
+        const { product_Calories, ...macros } = scaleNutrients(product, ingredient.weight);
+
+        raw_weight += ingredient.weight;
+        total.calories += product_Calories;
+        MACROS.forEach(macro => {
+            total[macro] = total[macro] === null || macros[macro] === null ? null : total[macro] + macros[macro];
+        });
+    });
+
+    const yield_weight = recipe.yield_weight || raw_weight;
+
+    return {
+        raw_weight,
+        yield_weight,
+        total: scaleAll(total, 1),
+        per_100g: scaleAll(total, 100 / yield_weight),
+        per_serving: {
+            weight: round(yield_weight / recipe.servings),
+            ...scaleAll(total, 1 / recipe.servings)
+        }
+    };
+};
+
+/**
+ * Ingredients of a recipe that are not visible to the user (another user's custom
+ * products or ids that do not exist), as a list of product ids.
+ */
+const findMissingIngredients = async (ingredients, userId) => {
+    const productIds = [...new Set(ingredients.map(ingredient => String(ingredient.productId)))];
+    const products = await Product.find({ _id: { $in: productIds }, ...Product.visibleTo(userId) }).select('_id');
+    return productIds.filter(productId => !products.some(product => product._id.equals(productId)));
+};
+
+/**
+ * A recipe as returned by the API: its ingredients with the product title and
+ * calories, and the nutrition computed from the current product values.
+ */
+const formatRecipe = async recipe => {
+    const products = await Product.find({ _id: { $in: recipe.ingredients.map(ingredient => ingredient.productId) } });
+
+    return {
+        _id: recipe._id,
+        title: recipe.title,
+        servings: recipe.servings,
+        ingredients: recipe.ingredients.map(ingredient => {
+            const product = products.find(candidate => candidate._id.equals(ingredient.productId));
+            return {
+                productId: ingredient.productId,
+                title: product.title,
+                weight: ingredient.weight,
+                calories: round((product.calories * ingredient.weight) / 100)
+            };
+        }),
+        nutrition: recipeNutrition(recipe, products),
+        createdAt: recipe.createdAt,
+        updatedAt: recipe.updatedAt
+    };
+};
+
+/**
+ * A portion of the recipe as it is logged to the diary: its weight, from `product_weight`
+ * grams or a number of `servings`, and the recipe's title and values per 100 g right now.
+ */
+const recipePortion = async (recipe, { servings = 1, product_weight } = {}) => {
+    const products = await Product.find({ _id: { $in: recipe.ingredients.map(ingredient => ingredient.productId) } });
+    const { per_100g, per_serving } = recipeNutrition(recipe, products);
+
+    return {
+        product_weight: product_weight || round(servings * per_serving.weight),
+        recipe: { title: recipe.title, ...per_100g }
+    };
+};
+
+module.exports = { recipeNutrition, findMissingIngredients, formatRecipe, recipePortion };
@@ -0,0 +1,68 @@
+const RestrictionRule = require('../models/restrictionRule');
+
+const DIETS = ['vegetarian', 'vegan', 'gluten_free', 'lactose_free'];
+
+// Catalogue categories each diet rules out, until an admin saves other ones
+const DEFAULT_RULES = {
+    vegetarian: ['meat', 'poultry', 'sausage', 'fish', 'seafood'],
+    vegan: ['meat', 'poultry', 'sausage', 'fish', 'seafood', 'eggs', 'milk'],
+    gluten_free: ['flour', 'flour products'],
+    lactose_free: ['milk']
+};
+
+const normalize = category => category.trim().toLowerCase();
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The categories ruled out by each diet, as `{ vegetarian: [...], ... }`.
+ */
+const getRestrictionRules = async () => {
+    const saved = await RestrictionRule.find({}).lean();
+    return DIETS.reduce((rules, diet) => {
+        const rule = saved.find(item => item.restriction === diet);
+        rules[diet] = rule ? rule.categories : DEFAULT_RULES[diet];
+        return rules;
+    }, {});
+};
+
+/**
+ * What the user's restrictions rule out: a map from each category (lowercase) to the
+ * restrictions that exclude it, e.g. `{ milk: ['vegan', 'lactose_free'] }`.
+ * Custom excluded categories are listed under 'excluded'.
+ */
+const getRestrictedCategories = async user => {
+    const { diets = [], excludedCategories = [] } = (user.profile && user.profile.restrictions) || {};
+    const restricted = {};
+    const add = (category, restriction) => {
+        const key = normalize(category);
+        restricted[key] = [...(restricted[key] || []), restriction];
+    };
+
+    if (diets.length) {
+        const rules = await getRestrictionRules();
+        diets.forEach(diet => rules[diet].forEach(category => add(category, diet)));
+    }
+    excludedCategories.forEach(category => add(category, 'excluded'));
+
+    return restricted;
+};
+
+/**
+ * Case-insensitive patterns matching exactly the given categories, for `$in` and `$nin`.
+ */
+const categoryPatterns = categories => categories.map(category => new RegExp(`^${escapeRegex(category)}$`, 'i'));
+
+/**
+ * Restrictions a product breaks, empty when it is fine to eat.
+ */
+const productRestrictions = (product, restricted) => restricted[normalize(product.categories || '')] || [];
+
+module.exports = {
+    DIETS,
+    DEFAULT_RULES,
+    getRestrictionRules,
+    getRestrictedCategories,
+    categoryPatterns,
+    productRestrictions
+};
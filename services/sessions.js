@@ -0,0 +1,145 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const User = require('../models/user');
+const { randomToken, hashToken } = require('./tokens');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, sessionId) =>
+    jwt.sign({ id: user._id, sid: sessionId, ver: user.tokenVersion }, process.env.SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Rotated refresh tokens kept per session to recognise a reused one
+const MAX_USED_TOKEN_HASHES = 20;
+
+const newRefreshToken = () => randomToken(48);
+
+const issueTokens = async (session, user) => {
+    const refreshToken = newRefreshToken();
+
+    session.refreshTokenHash = hashToken(refreshToken);
+    session.expiresAt = refreshExpiry();
+    session.lastUsedAt = new Date();
+    await session.save();
+
+    return {
+        token: signAccessToken(user, session._id),
+        refreshToken,
+        sessionId: session._id
+    };
+};
+
+/**
+ * Opens a new session (one refresh token family) for the device making the request.
+ */
+const createSession = async (user, req) => {
+    const session = new Session({
+        userId: user._id,
+        device: req.get('user-agent') || undefined,
+        ip: req.ip,
+        refreshTokenHash: 'pending',
+        expiresAt: refreshExpiry()
+    });
+
+    return issueTokens(session, user);
+};
+
+/**
+ * Exchanges a refresh token for a new token pair.
+ * The token is claimed in a single update, so of two requests sending it only one wins.
+ * Presenting a token that was already rotated means it leaked, so the whole
+ * family is revoked and the caller has to log in again.
+ * Returns null when the token cannot be used.
+ */
+const rotateRefreshToken = async refreshToken => {
+    const hash = hashToken(refreshToken);
+    const now = new Date();
+    const nextToken = newRefreshToken();
+
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            refreshTokenHash: hashToken(nextToken),
+            expiresAt: refreshExpiry(),
+            lastUsedAt: now,
+            $push: { usedTokenHashes: { $each: [hash], $slice: -MAX_USED_TOKEN_HASHES } }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const reused = await Session.findOneAndUpdate(
+            { usedTokenHashes: hash, revokedAt: null },
+            { revokedAt: now, revokedReason: 'reuse' }
+        );
+        if (reused) {
+            console.warn('Refresh token reuse detected, session revoked:', reused._id);
+        }
+        return null;
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+        return null;
+    }
+
+    return {
+        token: signAccessToken(user, session._id),
+        refreshToken: nextToken,
+        sessionId: session._id
+    };
+};
+
+const listSessions = userId =>
+    Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('device ip lastUsedAt expiresAt createdAt')
+        .sort({ lastUsedAt: -1 });
+
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+    const result = await Session.updateOne(
+        { _id: sessionId, userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount > 0;
+};
+
+const revokeAllSessions = async (userId, reason = 'revoked') => {
+    const result = await Session.updateMany(
+        { userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Checks that an access token still belongs to a live session and was issued
+ * after the user's last "log out everywhere" or password change.
+ */
+const isAccessTokenActive = async (user, payload) => {
+    if (!payload.sid || (payload.ver ?? 0) !== user.tokenVersion) {
+        return false;
+    }
+    return Boolean(await Session.exists({ _id: payload.sid, userId: user._id, revokedAt: null }));
+};
+
+/**
+ * Invalidates every access and refresh token of the user at once.
+ */
+const revokeAllTokens = async (user, reason = 'logout') => {
+    user.tokenVersion += 1;
+    await user.save();
+    return revokeAllSessions(user._id, reason);
+};
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+    isAccessTokenActive,
+    revokeAllTokens
+};
@@ -0,0 +1,153 @@
+const Summary = require('../models/summery');
+const DiaryEntry = require('../models/diaryEntry');
+const Product = require('../models/products');
+const { getDailyRateResolver } = require('./dailyRate');
+const { addDays, dayRange } = require('./timezone');
+
+/**
+ * Drops the cached summaries of the given days ('YYYY-MM-DD'),
+ * they are computed again the next time they are requested.
+ */
+const invalidateSummaries = (userId, dates) => Summary.updateOne(
+    { userId },
+    { $pull: { summaryInfo: { date: { $in: [...new Set(dates)] } } } }
+);
+
+const round = value => Math.round(value * 100) / 100;
+
+const perDayStages = timeZone => [
+    {
+        $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone } },
+            day: { $min: '$date' },
+            consumed: { $sum: '$product_Calories' },
+            entries: { $sum: 1 }
+        }
+    }
+];
+
+const averageStages = (period, timeZone) => [
+    ...perDayStages(timeZone),
+    {
+        $group: {
+            _id: period === 'week'
+                ? {
+                    year: { $isoWeekYear: { date: '$day', timezone: timeZone } },
+                    week: { $isoWeek: { date: '$day', timezone: timeZone } }
+                }
+                : { $dateToString: { format: '%Y-%m', date: '$day', timezone: timeZone } },
+            average: { $avg: '$consumed' },
+            days: { $sum: 1 }
+        }
+    },
+    { $sort: { _id: 1 } }
+];
+
+/**
+ * Per-day figures and statistics for the days `from` to `to` ('YYYY-MM-DD', inclusive)
+ * in the given time zone. Averages only count days that have diary entries.
+ */
+const getRangeStatistics = async (userId, from, to, timeZone = 'UTC', { top = 10 } = {}) => {
+    const start = dayRange(from, timeZone).start;
+    const end = dayRange(to, timeZone).end;
+
+    const [[result], rateAt] = await Promise.all([
+        DiaryEntry.aggregate([
+            { $match: { userId, date: { $gte: start, $lte: end } } },
+            {
+                $facet: {
+                    days: perDayStages(timeZone),
+                    weeks: averageStages('week', timeZone),
+                    months: averageStages('month', timeZone),
+                    topProducts: [
+                        {
+                            $group: {
+                                _id: { productId: '$productId', recipeId: { $ifNull: ['$recipeId', null] } },
+                                recipeTitle: { $last: '$recipe.title' },
+                                calories: { $sum: '$product_Calories' },
+                                weight: { $sum: '$product_weight' },
+                                entries: { $sum: 1 }
+                            }
+                        },
+                        { $sort: { calories: -1 } },
+                        { $limit: top },
+                        { $lookup: { from: Product.collection.name, localField: '_id.productId', foreignField: '_id', as: 'product' } },
+                        { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+                        {
+                            $project: {
+                                _id: 0,
+                                productId: '$_id.productId',
+                                recipeId: '$_id.recipeId',
+                                title: { $ifNull: ['$product.title', '$recipeTitle'] },
+                                calories: 1,
+                                weight: 1,
+                                entries: 1
+                            }
+                        }
+                    ]
+                }
+            }
+        ]),
+        getDailyRateResolver(userId)
+    ]);
+
+    const consumedByDay = new Map(result.days.map(day => [day._id, day]));
+
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const tracked = consumedByDay.get(date);
+        const consumed = tracked ? tracked.consumed : 0;
+        const rate = rateAt(dayRange(date, timeZone).end);
+
+        days.push({
+            date,
+            entries: tracked ? tracked.entries : 0,
+            daily_consumed: consumed,
+            daily_rate: rate,
+            daily_left: rate === null ? null : rate - consumed,
+            percentage: rate ? round(consumed / rate * 100) : null
+        });
+    }
+
+    // Untracked days and days without a known rate break a streak
+    let longestStreak = 0;
+    let streak = 0;
+    days.forEach(day => {
+        const withinBudget = day.entries > 0 && day.daily_rate !== null && day.daily_consumed <= day.daily_rate;
+        streak = withinBudget ? streak + 1 : 0;
+        longestStreak = Math.max(longestStreak, streak);
+    });
+
+    const trackedDays = days.filter(day => day.entries > 0);
+
+    return {
+        from,
+        to,
+        days,
+        statistics: {
+            tracked_days: trackedDays.length,
+            average_consumed: trackedDays.length
+                ? round(trackedDays.reduce((sum, day) => sum + day.daily_consumed, 0) / trackedDays.length)
+                : null,
+            days_over_budget: trackedDays.filter(day => day.daily_rate !== null && day.daily_consumed > day.daily_rate).length,
+            longest_streak_within_budget: longestStreak,
+            weekly_averages: result.weeks.map(week => ({
+                year: week._id.year,
+                week: week._id.week,
+                average_consumed: round(week.average),
+                tracked_days: week.days
+            })),
+            monthly_averages: result.months.map(month => ({
+                month: month._id,
+                average_consumed: round(month.average),
+                tracked_days: month.days
+            })),
+            top_products: result.topProducts.map(product => ({
+                ...product,
+                calories: round(product.calories)
+            }))
+        }
+    };
+};
+
+module.exports = { invalidateSummaries, getRangeStatistics };
@@ -0,0 +1,136 @@
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = {};
+
+const getFormatter = timeZone => {
+    if (!formatters[timeZone]) {
+        formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    return formatters[timeZone];
+};
+
+const zonedParts = (instant, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    return parts;
+};
+
+// Milliseconds to add to UTC to get the wall clock time of the zone at that instant
+const offsetAt = (instant, timeZone) => {
+    const parts = zonedParts(instant, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Calendar date ('YYYY-MM-DD') of an instant in the given IANA time zone.
+ */
+const localDate = (instant, timeZone) => {
+    const { year, month, day } = zonedParts(instant, timeZone);
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Wall clock time ('HH:mm') of an instant in the given IANA time zone.
+ */
+const localTime = (instant, timeZone) => {
+    const { hour, minute } = zonedParts(instant, timeZone);
+    return `${hour}:${minute}`;
+};
+
+/**
+ * The instant at which the wall clock of the zone shows `date` and `time` ('HH:mm').
+ * Times skipped by a DST jump are moved forward by the length of the jump,
+ * times that happen twice resolve to the later one.
+ */
+const zonedTimeToUtc = (date, time = '00:00', timeZone = 'UTC') => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Offsets in force a day either side cover any transition near the wall clock time
+    const before = offsetAt(new Date(wallClock - DAY_MS), timeZone);
+    const after = offsetAt(new Date(wallClock + DAY_MS), timeZone);
+    const matches = [before, after]
+        .map(offset => wallClock - offset)
+        .filter(instant => wallClock - offsetAt(new Date(instant), timeZone) === instant);
+
+    if (!matches.length) {
+        return new Date(wallClock - before);
+    }
+    return new Date(Math.max(...matches));
+};
+
+const addDays = (date, days) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * First and last millisecond of a calendar day in the given zone.
+ * Days around a DST change are 23 or 25 hours long.
+ */
+const dayRange = (date, timeZone = 'UTC') => ({
+    start: zonedTimeToUtc(date, '00:00', timeZone),
+    end: new Date(zonedTimeToUtc(addDays(date, 1), '00:00', timeZone).getTime() - 1)
+});
+
+/**
+ * Reads a day ('YYYY-MM-DD') from a route parameter. Full ISO timestamps are
+ * accepted for older clients and only their date part is used.
+ * Returns null when the value is not a valid date.
+ */
+const parseDay = value => {
+    const day = typeof value === 'string' ? value.slice(0, 10) : '';
+    if (!DATE_PATTERN.test(day) || isNaN(new Date(day)) || new Date(day).toISOString().slice(0, 10) !== day) {
+        return null;
+    }
+    return day;
+};
+
+const isTimeZone = timeZone => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Time zone of the request: the `X-Timezone` header when it is a valid IANA zone,
+ * otherwise the one saved on the user profile, otherwise UTC.
+ */
+const resolveTimeZone = req => {
+    const header = req.get('x-timezone');
+    if (header && isTimeZone(header)) {
+        return header;
+    }
+    return (req.user && req.user.profile && req.user.profile.timezone) || 'UTC';
+};
+
+module.exports = {
+    DATE_PATTERN,
+    TIME_PATTERN,
+    localDate,
+    localTime,
+    zonedTimeToUtc,
+    addDays,
+    dayRange,
+    parseDay,
+    isTimeZone,
+    resolveTimeZone
+};
@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+/**
+ * Random token for links and refresh tokens, as hex.
+ */
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Only the SHA-256 of a token is stored, so a leaked database does not give working tokens.
+ */
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = { randomToken, hashToken };
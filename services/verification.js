@@ -0,0 +1,70 @@
+const User = require('../models/user');
+const { sendMail } = require('./mailer');
+const { randomToken, hashToken } = require('./tokens');
+require('dotenv').config();
+
+const VERIFICATION_TOKEN_TTL_HOURS = Number(process.env.VERIFICATION_TOKEN_TTL_HOURS || 24);
+const RESEND_COOLDOWN_SECONDS = Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS || 60);
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const isVerificationRequired = scope => process.env[`REQUIRE_VERIFIED_${scope.toUpperCase()}`] === 'true';
+
+const sendVerification = async user => {
+    const token = randomToken();
+    user.verification = {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000),
+        lastSentAt: new Date()
+    };
+    await user.save();
+
+    await sendMail({
+        to: user.email,
+        subject: 'Confirm your SlimMom email',
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. It expires in ${VERIFICATION_TOKEN_TTL_HOURS} hours.\n\n${APP_URL}/api/auth/verify/${token}`
+    });
+};
+
+/**
+ * Marks the owner of the token as verified. Returns false for unknown or expired tokens.
+ */
+const verifyEmail = async token => {
+    const user = await User.findOne({
+        'verification.tokenHash': hashToken(token),
+        'verification.expiresAt': { $gt: new Date() }
+    });
+    if (!user) {
+        return false;
+    }
+
+    user.verified = true;
+    user.verification = undefined;
+    await user.save();
+
+    return true;
+};
+
+/**
+ * Sends a new verification link, at most once per cooldown period.
+ * Returns the seconds left to wait when called too early, otherwise 0.
+ * Unknown and already verified addresses are ignored silently.
+ */
+const resendVerification = async email => {
+    const user = await User.findOne({ email });
+    if (!user || user.verified) {
+        return 0;
+    }
+
+    const lastSentAt = user.verification && user.verification.lastSentAt;
+    if (lastSentAt) {
+        const elapsed = (Date.now() - lastSentAt.getTime()) / 1000;
+        if (elapsed < RESEND_COOLDOWN_SECONDS) {
+            return Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed);
+        }
+    }
+
+    await sendVerification(user);
+    return 0;
+};
+
+module.exports = { isVerificationRequired, sendVerification, verifyEmail, resendVerification };
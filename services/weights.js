@@ -0,0 +1,92 @@
+const { subDays, differenceInCalendarDays, addDays } = require('date-fns');
+const { calculateDailyCalories } = require('./calories');
+const { getBodyParameters } = require('./profile');
+const { getDailyTotals } = require('./diary');
+
+const MOVING_AVERAGE_DAYS = 7;
+const DEFICIT_WINDOW_DAYS = 14;
+// Energy stored in one kilogram of body fat
+const KCAL_PER_KG = 7700;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Adds the average of the weigh-ins from the last seven days to every entry.
+ * `entries` must be sorted by date.
+ */
+const withMovingAverage = entries => entries.map((entry, index) => {
+    const windowStart = subDays(entry.date, MOVING_AVERAGE_DAYS - 1);
+    const window = entries.slice(0, index + 1).filter(item => item.date >= windowStart);
+    const average = window.reduce((sum, item) => sum + item.weight, 0) / window.length;
+
+    return { ...entry, movingAverage: round(average) };
+});
+
+/**
+ * Average daily deficit against the maintenance calories over the last two weeks
+ * of diary entries, or null when there is nothing to compare with.
+ */
+const averageDeficit = async (userId, params, timeZone) => {
+    const { dailyCalories, calculation } = calculateDailyCalories(params);
+    const maintenance = dailyCalories + calculation.goalAdjustment;
+
+    const to = new Date();
+    const days = await getDailyTotals(userId, subDays(to, DEFICIT_WINDOW_DAYS), to, timeZone);
+    if (!days.length) {
+        return null;
+    }
+
+    return days.reduce((sum, day) => sum + (maintenance - day.consumed), 0) / days.length;
+};
+
+const getProgress = async (user, entries, timeZone = 'UTC') => {
+    const smoothed = withMovingAverage(entries);
+    const params = await getBodyParameters(user);
+    const desired = params.desired_weight;
+
+    if (!smoothed.length) {
+        return { entries: smoothed, progress: null };
+    }
+
+    const start = smoothed[0].weight;
+    const latest = smoothed[smoothed.length - 1];
+    const lost = round(start - latest.weight);
+
+    let percentage = null;
+    if (desired !== undefined && desired !== null && start !== desired) {
+        percentage = round(Math.min(Math.max((start - latest.weight) / (start - desired) * 100, 0), 100));
+    }
+
+    // Goals above the starting weight are reached by gaining, with a calorie surplus (a negative deficit)
+    const direction = desired > start ? -1 : 1;
+    let projectedGoalDate = null;
+    let dailyDeficit = null;
+    const remaining = desired === undefined || desired === null ? null : (latest.movingAverage - desired) * direction;
+
+    if (remaining !== null && remaining <= 0) {
+        projectedGoalDate = latest.date;
+    } else if (remaining !== null && params.height && params.age && params.current_weight) {
+        dailyDeficit = await averageDeficit(user._id, params, timeZone);
+        if (dailyDeficit * direction > 0) {
+            const daysLeft = Math.ceil(remaining * KCAL_PER_KG / (dailyDeficit * direction));
+            projectedGoalDate = addDays(new Date(), daysLeft);
+        }
+    }
+
+    return {
+        entries: smoothed,
+        progress: {
+            start_weight: start,
+            current_weight: latest.weight,
+            smoothed_weight: latest.movingAverage,
+            desired_weight: desired ?? null,
+            lost,
+            percentage,
+            daily_deficit: dailyDeficit === null ? null : Math.round(dailyDeficit),
+            projected_goal_date: projectedGoalDate,
+            days_tracked: differenceInCalendarDays(latest.date, smoothed[0].date) + 1
+        }
+    };
+};
+
+module.exports = { withMovingAverage, getProgress };
@@ -20,6 +20,45 @@ const options = {
             },
         
         ],
+        components: {
+            schemas: {
+                // Every error response of the API, sent by the error handler in app.js
+                Error: {
+                    type: 'object',
+                    properties: {
+                        code: {
+                            type: 'string',
+                            example: 'VALIDATION_ERROR',
+                        },
+                        message: {
+                            type: 'string',
+                            example: '"product_weight" must be a positive number',
+                        },
+                        details: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    location: {
+                                        type: 'string',
+                                        enum: ['body', 'params', 'query'],
+                                        example: 'body',
+                                    },
+                                    field: {
+                                        type: 'string',
+                                        example: 'product_weight',
+                                    },
+                                    message: {
+                                        type: 'string',
+                                        example: '"product_weight" must be a positive number',
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
     },
     
     apis: ['./routes/*.js'],
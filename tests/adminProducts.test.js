@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/user');
+const Session = require('../models/session');
+const Product = require('../models/products');
+
+jest.mock('../services/productCatalogue', () => ({
+    ...jest.requireActual('../services/productCatalogue'),
+    importProducts: jest.fn(async rows => ({ dryRun: false, total: rows.length, inserted: rows.length, updated: 0, rejected: [] }))
+}));
+
+const app = require('../app');
+
+const admin = new User({ _id: new mongoose.Types.ObjectId(), name: 'Popescu Andrei', email: 'popescuandrei@example.com', role: 'admin' });
+const adminToken = () => jwt.sign({ id: admin._id, sid: new mongoose.Types.ObjectId(), ver: 0 }, process.env.SECRET_KEY);
+
+// Larger than even an admin may send, which would otherwise be refused with 413
+const hugeBody = () => JSON.stringify([{ title: 'x'.repeat(11 * 1024 * 1024) }]);
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(User, 'findById').mockResolvedValue(admin);
+    jest.spyOn(Session, 'exists').mockResolvedValue(true);
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('POST /api/admin/products/import', () => {
+    test.each(['/api/admin/products/import', '/api/admin/products/import/', '/api/admin/products/Import'])(
+        'the body of %s is not read before the caller is authorized',
+        async path => {
+            const res = await request(app)
+                .post(path)
+                .set('Content-Type', 'application/json')
+                .send(hugeBody());
+
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('UNAUTHORIZED');
+        }
+    );
+
+    test.each(['/api/admin/products/import', '/api/admin/products/import/'])('an admin can import a JSON array at %s', async path => {
+        const res = await request(app)
+            .post(path)
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .set('Content-Type', 'application/json')
+            .send(JSON.stringify([{ title: 'Oat flakes', categories: 'cereals', calories: 370 }]));
+
+        expect(res.status).toBe(200);
+        expect(res.body.total).toBe(1);
+    });
+
+    test('other routes still parse JSON bodies', async () => {
+        const res = await request(app)
+            .post('/api/auth/login')
+            .set('Content-Type', 'application/json')
+            .send('{"email":');
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('INVALID_JSON');
+    });
+
+    test('the other admin routes parse JSON bodies after the admin check', async () => {
+        const res = await request(app)
+            .post('/api/admin/products')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .set('Content-Type', 'application/json')
+            .send('{"title":');
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('INVALID_JSON');
+    });
+});
+
+describe('renaming catalogue products', () => {
+    const catalogueProduct = () => new Product({
+        title: 'Oat flakes',
+        categories: 'cereals',
+        calories: 370,
+        groupBloodNotAllowed: [null, false, false, false, false]
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Product.prototype, 'save').mockImplementation(async function () {
+            return this;
+        });
+        jest.spyOn(Product, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    });
+
+    afterEach(() => {
+        Product.prototype.save.mockRestore();
+        Product.exists.mockRestore();
+    });
+
+    test('PATCH refuses a title the category already has', async () => {
+        const product = catalogueProduct();
+        jest.spyOn(Product, 'findOne').mockResolvedValueOnce(product);
+
+        const res = await request(app)
+            .patch(`/api/admin/products/${product._id}`)
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ title: 'Rolled oats' });
+
+        expect(res.status).toBe(409);
+        expect(Product.exists).toHaveBeenCalledWith({
+            owner: null,
+            title: 'Rolled oats',
+            categories: 'cereals',
+            _id: { $ne: product._id }
+        });
+        expect(Product.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('bulk update skips and reports products whose new title is taken', async () => {
+        const product = catalogueProduct();
+        jest.spyOn(Product, 'find').mockResolvedValueOnce([product]);
+
+        const res = await request(app)
+            .post('/api/admin/products/bulk')
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ action: 'update', productIds: [String(product._id)], changes: { categories: 'flour' } });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ updated: 0, duplicates: [String(product._id)] });
+        expect(Product.prototype.save).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const bcryptjs = require('bcryptjs');
+const User = require('../models/user');
+const Session = require('../models/session');
+const { registerTransport } = require('../services/mailer');
+const app = require('../app');
+
+// There is no database in the tests: users and sessions live in these maps
+const users = new Map();
+const sessions = new Map();
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+    value === null ? doc[key] == null : String(doc[key]) === String(value));
+
+const update = (filter, changes) => {
+    const found = [...sessions.values()].filter(session => matches(session, filter));
+    found.forEach(session => Object.assign(session, changes));
+    return found.length;
+};
+
+const PASSWORD = 'secret123';
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) =>
+        [...users.values()].find(user => user.email === email) || null);
+    jest.spyOn(User, 'findById').mockImplementation(async id => users.get(String(id)) || null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function () {
+        return this;
+    });
+
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function () {
+        sessions.set(String(this._id), this);
+        return this;
+    });
+    jest.spyOn(Session, 'exists').mockImplementation(async filter =>
+        [...sessions.values()].some(session => matches(session, filter)));
+    jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, changes) =>
+        ({ modifiedCount: Math.min(update(filter, changes), 1) }));
+    jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, changes) =>
+        ({ modifiedCount: update(filter, changes) }));
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(async () => {
+    users.clear();
+    sessions.clear();
+
+    const user = new User({
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Popescu Andrei',
+        email: 'popescuandrei@example.com',
+        password: await bcryptjs.hash(PASSWORD, 4)
+    });
+    users.set(String(user._id), user);
+});
+
+const login = async () => {
+    const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'popescuandrei@example.com', password: PASSWORD });
+    expect(res.status).toBe(200);
+    return res.body.token;
+};
+
+const current = token => request(app).get('/api/auth/current').set('Authorization', `Bearer ${token}`);
+
+describe('access tokens after logging out', () => {
+    test('logout ends the session of the token', async () => {
+        const token = await login();
+        expect((await current(token)).status).toBe(200);
+
+        const res = await request(app).get('/api/auth/logout').set('Authorization', `Bearer ${token}`);
+        expect(res.status).toBe(200);
+
+        const after = await current(token);
+        expect(after.status).toBe(401);
+        expect(after.body.code).toBe('UNAUTHORIZED');
+    });
+
+    test('logout keeps the other sessions of the user', async () => {
+        const token = await login();
+        const other = await login();
+
+        await request(app).get('/api/auth/logout').set('Authorization', `Bearer ${token}`);
+
+        expect((await current(token)).status).toBe(401);
+        expect((await current(other)).status).toBe(200);
+    });
+
+    test('logout-all ends every session of the user', async () => {
+        const token = await login();
+        const other = await login();
+
+        const res = await request(app).post('/api/auth/logout-all').set('Authorization', `Bearer ${token}`);
+        expect(res.status).toBe(200);
+        expect(res.body.revoked).toBe(2);
+
+        expect((await current(token)).status).toBe(401);
+        expect((await current(other)).status).toBe(401);
+    });
+
+    test('tokens issued before a password change stop working', async () => {
+        const token = await login();
+        const tokenVersion = users.values().next().value.tokenVersion;
+
+        const res = await request(app)
+            .patch('/api/auth/password')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ oldPassword: PASSWORD, newPassword: 'another123' });
+        expect(res.status).toBe(200);
+        expect(users.values().next().value.tokenVersion).toBe(tokenVersion + 1);
+
+        expect((await current(token)).status).toBe(401);
+        expect((await current(res.body.token)).status).toBe(200);
+    });
+});
+
+describe('registration', () => {
+    afterEach(() => {
+        delete process.env.MAIL_TRANSPORT;
+    });
+
+    test('the account is created when the verification email cannot be sent', async () => {
+        registerTransport('failing', async () => {
+            throw new Error('Mail server unreachable');
+        });
+        process.env.MAIL_TRANSPORT = 'failing';
+
+        const res = await request(app)
+            .post('/api/auth/register')
+            .send({ name: 'Ionescu Maria', email: 'ionescumaria@example.com', password: PASSWORD });
+
+        expect(res.status).toBe(201);
+        expect(res.body.user).toEqual({ name: 'Ionescu Maria', email: 'ionescumaria@example.com', verified: false });
+    });
+});
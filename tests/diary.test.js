@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/user');
+const Session = require('../models/session');
+const Product = require('../models/products');
+const DiaryEntry = require('../models/diaryEntry');
+
+jest.mock('../services/summary', () => ({
+    ...jest.requireActual('../services/summary'),
+    invalidateSummaries: jest.fn(async () => {})
+}));
+
+const app = require('../app');
+
+const user = new User({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Popescu Andrei',
+    email: 'popescuandrei@example.com',
+    profile: { height: 170, age: 30, current_weight: 70, desired_weight: 65, blood_type: 'A(II)' }
+});
+const token = jwt.sign({ id: user._id, sid: new mongoose.Types.ObjectId(), ver: 0 }, process.env.SECRET_KEY);
+
+// Not recommended for blood group II, the index 0 is a placeholder
+const forbidden = new Product({
+    title: 'Pork neck',
+    categories: 'meat',
+    weight: 100,
+    calories: 300,
+    groupBloodNotAllowed: [null, false, true, false, false]
+});
+
+let entry;
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Session, 'exists').mockResolvedValue(true);
+    jest.spyOn(Product, 'findOne').mockResolvedValue(forbidden);
+    jest.spyOn(DiaryEntry, 'findOne').mockImplementation(async () => entry);
+    jest.spyOn(DiaryEntry.prototype, 'save').mockImplementation(async function () {
+        return this;
+    });
+    jest.spyOn(DiaryEntry.prototype, 'populate').mockImplementation(async function () {
+        return this;
+    });
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+    entry = new DiaryEntry({
+        userId: user._id,
+        productId: new mongoose.Types.ObjectId(),
+        product_weight: 100,
+        calories: 120,
+        meal: 'lunch',
+        date: new Date('2024-09-10T12:00:00.000Z')
+    });
+    DiaryEntry.prototype.save.mockClear();
+});
+
+const changeProduct = () => request(app)
+    .patch(`/api/diary/entries/${entry._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ productId: String(forbidden._id) });
+
+describe('PATCH /api/diary/entries/:entryId', () => {
+    test('refuses a product not recommended for the blood type when the user rejects them', async () => {
+        user.profile.blood_type_check = 'reject';
+
+        const res = await changeProduct();
+
+        expect(res.status).toBe(422);
+        expect(res.body.code).toBe('PRODUCT_NOT_RECOMMENDED');
+        expect(res.body.details).toEqual([{ location: 'body', field: 'productId', message: 'Not recommended for your blood type' }]);
+        expect(DiaryEntry.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('warns about a product not recommended for the blood type otherwise', async () => {
+        user.profile.blood_type_check = 'warn';
+
+        const res = await changeProduct();
+
+        expect(res.status).toBe(200);
+        expect(res.body.warnings).toEqual([
+            expect.objectContaining({ type: 'blood_type', productId: String(forbidden._id), blood_type: 'A(II)' })
+        ]);
+    });
+});
@@ -0,0 +1,38 @@
+const { sendMail, checkMailTransport } = require('../services/mailer');
+
+const message = { to: 'popescuandrei@example.com', subject: 'Confirm your SlimMom email', text: 'Hi' };
+
+describe('mail transport', () => {
+    const env = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+
+    afterEach(() => {
+        // Assigning undefined would store the string 'undefined'
+        Object.entries(env).forEach(([name, value]) => {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        });
+        jest.restoreAllMocks();
+    });
+
+    test('mails are logged by default in tests', async () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        delete process.env.MAIL_TRANSPORT;
+
+        await sendMail(message);
+
+        expect(log).toHaveBeenCalledWith('Mail sent:', expect.objectContaining({ to: message.to }));
+    });
+
+    test('a transport has to be configured in production', async () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        process.env.NODE_ENV = 'production';
+        delete process.env.MAIL_TRANSPORT;
+
+        expect(checkMailTransport).toThrow('MAIL_TRANSPORT must be set');
+        await expect(sendMail(message)).rejects.toThrow('MAIL_TRANSPORT must be set');
+        expect(log).not.toHaveBeenCalled();
+    });
+});
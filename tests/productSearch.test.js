@@ -0,0 +1,34 @@
+const Product = require('../models/products');
+const { prefixSearch } = require('../services/productSearch');
+
+beforeEach(() => {
+    jest.spyOn(Product, 'aggregate').mockResolvedValue([{ total: [{ count: 1 }], products: [{ title: 'Low-fat milk' }] }]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Product.titleWords', () => {
+    test('splits a title into lowercase words', () => {
+        expect(Product.titleWords('Rice (boiled), Low-fat  milk')).toEqual(['rice', 'boiled', 'low', 'fat', 'milk']);
+    });
+});
+
+describe('prefixSearch', () => {
+    test('matches every query word as an anchored prefix of the indexed title words', async () => {
+        const result = await prefixSearch('Low-fat MI', { owner: null });
+
+        const [{ $match: match }] = Product.aggregate.mock.calls[0][0];
+        expect(match.owner).toBeNull();
+        expect(match.$and).toEqual([{ titleWords: /^low/ }, { titleWords: /^fat/ }, { titleWords: /^mi/ }]);
+        expect(result.total).toBe(1);
+    });
+
+    test('finds nothing for a query without words', async () => {
+        const result = await prefixSearch('(-)', {});
+
+        expect(Product.aggregate).not.toHaveBeenCalled();
+        expect(result).toEqual({ total: 0, page: 1, limit: 20, totalPages: 0, products: [] });
+    });
+});
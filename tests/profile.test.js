@@ -0,0 +1,60 @@
+const User = require('../models/user');
+const Calculator = require('../models/calculator');
+const { registerTransport } = require('../services/mailer');
+const { updateProfile } = require('../services/profile');
+
+beforeAll(() => {
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function () {
+        return this;
+    });
+    jest.spyOn(Calculator, 'findOne').mockResolvedValue(null);
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+const restrictedUser = () => new User({
+    name: 'Popescu Andrei',
+    email: 'popescuandrei@example.com',
+    profile: { restrictions: { diets: ['vegan'], excludedCategories: ['nuts'] } }
+});
+
+const restrictions = user => user.profile.restrictions.toObject();
+
+describe('updateProfile restrictions', () => {
+    test('changing the diets keeps the excluded categories', async () => {
+        const user = restrictedUser();
+        await updateProfile(user, { restrictions: { diets: ['gluten_free'] } });
+        expect(restrictions(user)).toEqual({ diets: ['gluten_free'], excludedCategories: ['nuts'] });
+    });
+
+    test('changing the excluded categories keeps the diets', async () => {
+        const user = restrictedUser();
+        await updateProfile(user, { restrictions: { excludedCategories: [] } });
+        expect(restrictions(user)).toEqual({ diets: ['vegan'], excludedCategories: [] });
+    });
+});
+
+describe('updateProfile email', () => {
+    const transport = process.env.MAIL_TRANSPORT;
+
+    afterEach(() => {
+        process.env.MAIL_TRANSPORT = transport;
+    });
+
+    test('a new address is kept when the verification email cannot be sent', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        registerTransport('failing', async () => {
+            throw new Error('Mail server unreachable');
+        });
+        process.env.MAIL_TRANSPORT = 'failing';
+
+        const user = restrictedUser();
+        user.verified = true;
+        await expect(updateProfile(user, { email: 'andrei@example.com' })).resolves.toBeNull();
+
+        expect(user.email).toBe('andrei@example.com');
+        expect(user.verified).toBe(false);
+    });
+});
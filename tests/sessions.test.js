@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Session = require('../models/session');
+const { rotateRefreshToken } = require('../services/sessions');
+
+const user = new User({ _id: new mongoose.Types.ObjectId(), name: 'Popescu Andrei', email: 'popescuandrei@example.com' });
+
+beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+});
+
+afterEach(() => {
+    Session.findOneAndUpdate.mockRestore();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('rotateRefreshToken', () => {
+    test('claims a live token and replaces it in one update', async () => {
+        const session = new Session({ userId: user._id, refreshTokenHash: 'next', expiresAt: new Date() });
+        const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+
+        const tokens = await rotateRefreshToken('refresh-token');
+
+        expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+        const [filter, changes] = findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({
+            refreshTokenHash: expect.any(String),
+            revokedAt: null,
+            expiresAt: { $gt: expect.any(Date) }
+        });
+        expect(changes.refreshTokenHash).not.toBe(filter.refreshTokenHash);
+        expect(changes.$push.usedTokenHashes).toEqual({ $each: [filter.refreshTokenHash], $slice: -20 });
+        expect(tokens).toEqual({ token: expect.any(String), refreshToken: expect.any(String), sessionId: session._id });
+    });
+
+    test('revokes the session when a rotated token is used again', async () => {
+        const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate')
+            .mockResolvedValueOnce(null)
+            .mockResolvedValueOnce(new Session({ userId: user._id }));
+
+        expect(await rotateRefreshToken('refresh-token')).toBeNull();
+
+        const [claim] = findOneAndUpdate.mock.calls[0];
+        const [filter, changes] = findOneAndUpdate.mock.calls[1];
+        expect(filter).toEqual({ usedTokenHashes: claim.refreshTokenHash, revokedAt: null });
+        expect(changes).toEqual({ revokedAt: expect.any(Date), revokedReason: 'reuse' });
+    });
+});
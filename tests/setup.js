@@ -0,0 +1,3 @@
+// Tests must not depend on a local .env file
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test-secret';
+process.env.MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
@@ -0,0 +1,52 @@
+const { zonedTimeToUtc, dayRange } = require('../services/timezone');
+
+const NEW_YORK = 'America/New_York';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('dayRange', () => {
+    test('a day in UTC is 24 hours long', () => {
+        const { start, end } = dayRange('2024-03-10');
+        expect(start.toISOString()).toBe('2024-03-10T00:00:00.000Z');
+        expect(end.toISOString()).toBe('2024-03-10T23:59:59.999Z');
+    });
+
+    test('the day clocks go forward is 23 hours long', () => {
+        const { start, end } = dayRange('2024-03-10', NEW_YORK);
+        expect(start.toISOString()).toBe('2024-03-10T05:00:00.000Z');
+        expect(end.toISOString()).toBe('2024-03-11T03:59:59.999Z');
+        expect(end - start + 1).toBe(23 * HOUR);
+    });
+
+    test('the day clocks go back is 25 hours long', () => {
+        const { start, end } = dayRange('2024-11-03', NEW_YORK);
+        expect(start.toISOString()).toBe('2024-11-03T04:00:00.000Z');
+        expect(end.toISOString()).toBe('2024-11-04T04:59:59.999Z');
+        expect(end - start + 1).toBe(25 * HOUR);
+    });
+});
+
+describe('zonedTimeToUtc', () => {
+    test('uses the offset in force at the wall clock time', () => {
+        expect(zonedTimeToUtc('2024-01-15', '08:30', NEW_YORK).toISOString()).toBe('2024-01-15T13:30:00.000Z');
+        expect(zonedTimeToUtc('2024-07-15', '08:30', NEW_YORK).toISOString()).toBe('2024-07-15T12:30:00.000Z');
+        expect(zonedTimeToUtc('2024-07-15', '08:30', 'Asia/Kolkata').toISOString()).toBe('2024-07-15T03:00:00.000Z');
+    });
+
+    test('moves a skipped time forward by the length of the jump', () => {
+        // 02:30 does not exist on 2024-03-10, clocks go from 02:00 EST to 03:00 EDT
+        expect(zonedTimeToUtc('2024-03-10', '02:30', NEW_YORK).toISOString()).toBe('2024-03-10T07:30:00.000Z');
+    });
+
+    test('resolves a repeated time to the later instant', () => {
+        // 01:30 happens at 05:30Z (EDT) and again at 06:30Z (EST)
+        expect(zonedTimeToUtc('2024-11-03', '01:30', NEW_YORK).toISOString()).toBe('2024-11-03T06:30:00.000Z');
+    });
+
+    test('leaves the times next to a transition alone', () => {
+        expect(zonedTimeToUtc('2024-03-10', '01:59', NEW_YORK).toISOString()).toBe('2024-03-10T06:59:00.000Z');
+        expect(zonedTimeToUtc('2024-03-10', '03:00', NEW_YORK).toISOString()).toBe('2024-03-10T07:00:00.000Z');
+        expect(zonedTimeToUtc('2024-11-03', '00:59', NEW_YORK).toISOString()).toBe('2024-11-03T04:59:00.000Z');
+        expect(zonedTimeToUtc('2024-11-03', '02:00', NEW_YORK).toISOString()).toBe('2024-11-03T07:00:00.000Z');
+    });
+});
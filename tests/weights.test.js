@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Calculator = require('../models/calculator');
+const User = require('../models/user');
+const Session = require('../models/session');
+const Weight = require('../models/weight');
+const { getProgress } = require('../services/weights');
+const app = require('../app');
+
+const day = date => new Date(`${date}T00:00:00.000Z`);
+
+const userWithGoal = desired_weight => ({
+    _id: new mongoose.Types.ObjectId(),
+    profile: { desired_weight }
+});
+
+beforeAll(() => {
+    jest.spyOn(Calculator, 'findOne').mockResolvedValue(null);
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getProgress projected_goal_date', () => {
+    test('a weight loss goal is reached when the weight drops to it', async () => {
+        const entries = [{ date: day('2024-09-01'), weight: 70 }, { date: day('2024-09-02'), weight: 60 }];
+        const { progress } = await getProgress(userWithGoal(66), entries);
+        expect(progress.projected_goal_date).toEqual(day('2024-09-02'));
+    });
+
+    test('a weight gain goal is not reached while the weight is below it', async () => {
+        const entries = [{ date: day('2024-09-01'), weight: 50 }, { date: day('2024-09-02'), weight: 51 }];
+        const { progress } = await getProgress(userWithGoal(55), entries);
+        expect(progress.projected_goal_date).toBeNull();
+        expect(progress.percentage).toBe(20);
+    });
+
+    test('a weight gain goal is reached when the weight rises to it', async () => {
+        const entries = [{ date: day('2024-09-01'), weight: 50 }, { date: day('2024-09-02'), weight: 60 }];
+        const { progress } = await getProgress(userWithGoal(55), entries);
+        expect(progress.projected_goal_date).toEqual(day('2024-09-02'));
+    });
+});
+
+describe('PATCH /api/weights/:weightId', () => {
+    const user = new User({
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Popescu Andrei',
+        email: 'popescuandrei@example.com',
+        profile: { current_weight: 70 }
+    });
+    const token = jwt.sign({ id: user._id, sid: new mongoose.Types.ObjectId(), ver: 0 }, process.env.SECRET_KEY);
+    let weights;
+
+    // The newest weigh-in of `weights`, as the route reads it
+    const newest = () => [...weights].sort((a, b) => b.date - a.date)[0];
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+        jest.spyOn(User.prototype, 'save').mockImplementation(async function () {
+            return this;
+        });
+        jest.spyOn(Session, 'exists').mockResolvedValue(true);
+        jest.spyOn(Weight, 'exists').mockResolvedValue(null);
+        jest.spyOn(Weight.prototype, 'save').mockImplementation(async function () {
+            return this;
+        });
+        jest.spyOn(Weight, 'findOne').mockImplementation(filter => (filter._id
+            ? Promise.resolve(weights.find(entry => entry._id.equals(filter._id)) || null)
+            : { sort: async () => newest() }));
+    });
+
+    test('moving the latest weigh-in back makes the next one the current weight', async () => {
+        weights = [
+            new Weight({ userId: user._id, date: day('2024-09-05'), weight: 72 }),
+            new Weight({ userId: user._id, date: day('2024-09-10'), weight: 70 })
+        ];
+
+        const res = await request(app)
+            .patch(`/api/weights/${weights[1]._id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ date: '2024-09-01' });
+
+        expect(res.status).toBe(200);
+        expect(user.profile.current_weight).toBe(72);
+    });
+});
@@ -0,0 +1,33 @@
+const Joi = require('joi');
+const { TIME_PATTERN, parseDay } = require('../services/timezone');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': '{{#label}} must be a valid id'
+});
+
+const day = Joi.string().custom((value, helpers) => (parseDay(value) === value ? value : helpers.error('any.invalid'))).messages({
+    'any.invalid': '{{#label}} must be a date in YYYY-MM-DD format'
+});
+
+// Days in URLs also accept full ISO timestamps from older clients, only their date part is kept
+const dayParam = Joi.string().custom((value, helpers) => parseDay(value) || helpers.error('any.invalid')).messages({
+    'any.invalid': '{{#label}} must be a date in YYYY-MM-DD format'
+});
+
+const time = Joi.string().pattern(TIME_PATTERN).messages({
+    'string.pattern.base': '{{#label}} must be a time in HH:mm format'
+});
+
+const pagination = {
+    page: Joi.number().integer().min(1).default(1).messages({
+        'number.base': '{{#label}} must be a number',
+        'number.min': '{{#label}} must be at least {#limit}'
+    }),
+    limit: Joi.number().integer().min(1).max(100).default(20).messages({
+        'number.base': '{{#label}} must be a number',
+        'number.min': '{{#label}} must be at least {#limit}',
+        'number.max': '{{#label}} must be at most {#limit}'
+    })
+};
+
+module.exports = { objectId, day, dayParam, time, pagination };
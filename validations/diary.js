@@ -1,32 +1,128 @@
 const Joi = require('joi');
+const { objectId, day, dayParam, time } = require('./common');
+const { MEALS } = require('../services/diary');
 
-const objectId = Joi.string().length(24).hex().messages({
-    'string.length': '{{#label}} must be a valid ObjectId (24 characters long)',
-    'string.hex': '{{#label}} must only contain hexadecimal characters'
+const productWeight = Joi.number().positive().messages({
+    'number.base': '{{#label}} must be a number',
+    'number.positive': '{{#label}} must be a positive number',
+    'any.required': '{{#label}} is required'
 });
 
-const diarySchema = Joi.object({
-    userId: objectId.required(),
-    productId: objectId.required(),
-    date: Joi.date().required().messages({
-        'date.base': '{{#label}} must be a valid date',
+const meal = Joi.string().valid(...MEALS).messages({
+    'any.only': `{{#label}} must be one of the following: ${MEALS.join(', ')}`
+});
+
+const MAX_BATCH = 50;
+
+const consumedItemSchema = Joi.object({
+    productId: objectId.required().messages({
         'any.required': '{{#label}} is required'
     }),
-    product_weight: Joi.number().min(0).required().messages({
+    product_weight: productWeight.required(),
+    meal: meal.default('snack'),
+    date: day,
+    time
+});
+
+// One product, or several logged at once
+const consumedSchema = Joi.alternatives().conditional(Joi.array(), {
+    then: Joi.array().items(consumedItemSchema).min(1).max(MAX_BATCH).messages({
+        'array.min': 'At least one product is required',
+        'array.max': `At most ${MAX_BATCH} products can be logged at once`
+    }),
+    otherwise: consumedItemSchema
+});
+
+const copySchema = Joi.object({
+    from: day,
+    to: day,
+    meal,
+    toMeal: meal
+}).with('toMeal', 'meal').messages({
+    'object.with': 'toMeal can only be used when copying one meal'
+});
+
+const recentQuerySchema = Joi.object({
+    days: Joi.number().integer().min(1).max(365).default(90).messages({
         'number.base': '{{#label}} must be a number',
-        'number.min': '{{#label}} must be at least 0',
-        'any.required': '{{#label}} is required'
+        'number.min': '{{#label}} must be between 1 and 365',
+        'number.max': '{{#label}} must be between 1 and 365'
     }),
-    product_Calories: Joi.number().min(0).required().messages({
+    limit: Joi.number().integer().min(1).max(50).default(10).messages({
         'number.base': '{{#label}} must be a number',
-        'number.min': '{{#label}} must be at least 0',
-        'any.required': '{{#label}} is required'
+        'number.min': '{{#label}} must be between 1 and 50',
+        'number.max': '{{#label}} must be between 1 and 50'
     })
 });
 
-const validate = (diary) => {
-    return diarySchema.validate(diary, { abortEarly: false });
+const entryUpdateSchema = Joi.object({
+    productId: objectId,
+    product_weight: productWeight,
+    meal,
+    date: day,
+    time
+}).min(1).messages({
+    'object.min': 'Nothing to update'
+});
+
+const entryParamsSchema = Joi.object({
+    entryId: objectId.required()
+});
+
+const dayParamsSchema = Joi.object({
+    date: dayParam.required()
+});
+
+const removeParamsSchema = Joi.object({
+    date: dayParam.required(),
+    productId: objectId.required()
+});
+
+const dayQuerySchema = Joi.object({
+    groupBy: Joi.string().valid('meal').messages({
+        'any.only': 'Entries can only be grouped by meal'
+    })
+});
+
+const validateConsumed = (body) => {
+    return consumedSchema.validate(body, { abortEarly: false });
+};
+
+const validateCopy = (body) => {
+    return copySchema.validate(body, { abortEarly: false });
+};
+
+const validateRecentQuery = (query) => {
+    return recentQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateEntryUpdate = (body) => {
+    return entryUpdateSchema.validate(body, { abortEarly: false });
 };
 
-module.exports = validate;
+const validateEntryParams = (params) => {
+    return entryParamsSchema.validate(params, { abortEarly: false });
+};
 
+const validateDayParams = (params) => {
+    return dayParamsSchema.validate(params, { abortEarly: false });
+};
+
+const validateRemoveParams = (params) => {
+    return removeParamsSchema.validate(params, { abortEarly: false });
+};
+
+const validateDayQuery = (query) => {
+    return dayQuerySchema.validate(query, { abortEarly: false });
+};
+
+module.exports = {
+    validateConsumed,
+    validateCopy,
+    validateRecentQuery,
+    validateEntryUpdate,
+    validateEntryParams,
+    validateDayParams,
+    validateRemoveParams,
+    validateDayQuery
+};
@@ -0,0 +1,61 @@
+const Joi = require('joi');
+const { objectId, day, pagination } = require('./common');
+const { MEALS } = require('../services/diary');
+const { PERIOD_DAYS } = require('../services/mealPlans');
+
+const generateSchema = Joi.object({
+    period: Joi.string().valid(...Object.keys(PERIOD_DAYS)).default('day').messages({
+        'any.only': `{{#label}} must be one of the following: ${Object.keys(PERIOD_DAYS).join(', ')}`
+    }),
+    startDate: day,
+    tolerance: Joi.number().min(1).max(20).default(5).messages({
+        'number.base': '{{#label}} must be a number',
+        'number.min': '{{#label}} must be between 1 and 20 percent',
+        'number.max': '{{#label}} must be between 1 and 20 percent'
+    }),
+    meals: Joi.array().items(Joi.string().valid(...MEALS)).min(1).unique().default(MEALS).messages({
+        'any.only': `{{#label}} must be one of the following: ${MEALS.join(', ')}`,
+        'array.min': 'At least one meal is required',
+        'array.unique': '{{#label}} is listed twice'
+    }),
+    excludedCategories: Joi.array().items(Joi.string().trim().min(1)).max(50).default([]).messages({
+        'array.max': 'At most {#limit} categories can be excluded'
+    }),
+    seed: Joi.number().integer().min(0).max(2 ** 31 - 1).messages({
+        'number.base': '{{#label}} must be a number',
+        'number.integer': '{{#label}} must be a whole number',
+        'number.min': '{{#label}} must be between 0 and 2147483647',
+        'number.max': '{{#label}} must be between 0 and 2147483647'
+    })
+});
+
+const planParamsSchema = Joi.object({
+    planId: objectId.required()
+});
+
+const planListSchema = Joi.object({
+    ...pagination
+});
+
+const transferSchema = Joi.object({
+    date: day,
+    to: day
+});
+
+const validateGenerate = (body) => {
+    return generateSchema.validate(body, { abortEarly: false });
+};
+
+const validateParams = (params) => {
+    return planParamsSchema.validate(params, { abortEarly: false });
+};
+
+const validateListQuery = (query) => {
+    return planListSchema.validate(query, { abortEarly: false });
+};
+
+const validateTransfer = (body) => {
+    return transferSchema.validate(body, { abortEarly: false });
+};
+
+module.exports = { validateGenerate, validateParams, validateListQuery, validateTransfer };
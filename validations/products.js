@@ -1,4 +1,17 @@
 const Joi = require('joi');
+const { objectId, pagination } = require('./common');
+const { calculatorFields } = require('./calculator');
+const { SORT_FIELDS } = require('../services/forbiddenProducts');
+
+// The first element of groupBloodNotAllowed is an unused placeholder and is null in the catalogue
+const groupBloodNotAllowed = Joi.array().items(Joi.boolean().allow(null)).length(5).messages({
+  'array.length': `{{#label}} must have {#limit} elements: a null placeholder and one per blood group`
+});
+
+const macro = Joi.number().min(0).max(100).allow(null).messages({
+  'number.min': `{{#label}} must be between 0 and 100 grams per 100 g`,
+  'number.max': `{{#label}} must be between 0 and 100 grams per 100 g`
+});
 
 const productSchema = Joi.object({
   categories: Joi.string().required().messages({
@@ -13,13 +26,173 @@ const productSchema = Joi.object({
   calories: Joi.number().required().messages({
         'any.required': `{{#label}} is required`
     }),
-  groupBloodNotAllowed: Joi.array().items(Joi.boolean()).required().messages({
+  groupBloodNotAllowed: groupBloodNotAllowed.required().messages({
+        'any.required': `{{#label}} is required`
+    }),
+  protein: macro,
+  fat: macro,
+  carbohydrate: macro,
+  fibre: macro,
+  sugar: macro,
+});
+
+const productUpdateSchema = productSchema
+  .fork(['categories', 'weight', 'title', 'calories', 'groupBloodNotAllowed'], field => field.optional())
+  .min(1)
+  .messages({
+    'object.min': `At least one field is required`
+  });
+
+const bulkSchema = Joi.object({
+  action: Joi.string().valid('update', 'delete').required().messages({
+        'any.only': `{{#label}} must be one of the following: 'update', 'delete'`,
+        'any.required': `{{#label}} is required`
+    }),
+  productIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).min(1).max(500).unique().required().messages({
+        'string.pattern.base': `{{#label}} is not a valid product id`,
+        'array.max': `{{#label}} can hold at most {#limit} products`,
+        'array.unique': `{{#label}} contains a duplicate product id`,
+        'any.required': `{{#label}} is required`
+    }),
+  changes: Joi.when('action', {
+    is: 'update',
+    then: productUpdateSchema.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+        'any.required': `{{#label}} is required to update products`,
+        'any.unknown': `{{#label}} is only allowed when updating products`
+    }),
+});
+
+const productParamsSchema = Joi.object({
+  productId: objectId.required()
+});
+
+const forbiddenQuerySchema = Joi.object({
+  blood_type: calculatorFields.blood_type.required(),
+  ...pagination,
+  sort: Joi.string().valid(...SORT_FIELDS).default('title').messages({
+        'any.only': `{{#label}} must be one of the following: ${SORT_FIELDS.join(', ')}`
+    }),
+  groupBy: Joi.string().valid('categories').messages({
+        'any.only': `Products can only be grouped by categories`
+    }),
+  sample: Joi.number().integer().min(1).max(50).messages({
+        'number.base': `{{#label}} must be a number`,
+        'number.min': `{{#label}} must be between 1 and 50`,
+        'number.max': `{{#label}} must be between 1 and 50`
+    }),
+});
+
+const calorieRange = (value, helpers) => {
+    if (value.minCalories !== undefined && value.maxCalories !== undefined && value.minCalories > value.maxCalories) {
+        return helpers.error('any.invalid');
+    }
+    return value;
+};
+
+const searchQuerySchema = Joi.object({
+  query: Joi.string().trim().min(1).max(100).required().messages({
+        'string.empty': `{{#label}} is required`,
+        'string.max': `{{#label}} should have a maximum length of {#limit}`,
         'any.required': `{{#label}} is required`
     }),
+  prefix: Joi.boolean().default(false),
+  category: Joi.string(),
+  minCalories: Joi.number().min(0).messages({
+        'number.base': `{{#label}} must be a number`,
+        'number.min': `{{#label}} must be at least {#limit}`
+    }),
+  maxCalories: Joi.number().min(0).messages({
+        'number.base': `{{#label}} must be a number`,
+        'number.min': `{{#label}} must be at least {#limit}`
+    }),
+  allowed: Joi.boolean().default(false),
+  includeRestricted: Joi.boolean().default(false),
+  ...pagination,
+}).custom(calorieRange).messages({
+    'any.invalid': `minCalories must not be greater than maxCalories`
+});
+
+const paginationQuerySchema = Joi.object(pagination);
+
+const catalogueQuerySchema = Joi.object({
+  category: Joi.string(),
+  ...pagination,
+});
+
+const auditQuerySchema = Joi.object({
+  userId: objectId,
+  action: Joi.string().valid('create', 'update', 'delete', 'promote', 'import').messages({
+        'any.only': `{{#label}} must be one of the following: 'create', 'update', 'delete', 'promote', 'import'`
+    }),
+  ...pagination,
+});
+
+const importQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+});
+
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'csv').default('json').messages({
+        'any.only': `{{#label}} must be one of the following: 'json', 'csv'`
+    }),
 });
 
 const validate = (items) => {
     return productSchema.validate(items, { abortEarly: false }); 
 };
 
-module.exports = validate;
\ No newline at end of file
+const validateUpdate = (items) => {
+    return productUpdateSchema.validate(items, { abortEarly: false }); 
+};
+
+const validateBulk = (body) => {
+    return bulkSchema.validate(body, { abortEarly: false }); 
+};
+
+const validateParams = (params) => {
+    return productParamsSchema.validate(params, { abortEarly: false }); 
+};
+
+const validateForbiddenQuery = (query) => {
+    return forbiddenQuerySchema.validate(query, { abortEarly: false }); 
+};
+
+const validateSearchQuery = (query) => {
+    return searchQuerySchema.validate(query, { abortEarly: false }); 
+};
+
+const validatePaginationQuery = (query) => {
+    return paginationQuerySchema.validate(query, { abortEarly: false }); 
+};
+
+const validateCatalogueQuery = (query) => {
+    return catalogueQuerySchema.validate(query, { abortEarly: false }); 
+};
+
+const validateAuditQuery = (query) => {
+    return auditQuerySchema.validate(query, { abortEarly: false }); 
+};
+
+const validateImportQuery = (query) => {
+    return importQuerySchema.validate(query, { abortEarly: false }); 
+};
+
+const validateExportQuery = (query) => {
+    return exportQuerySchema.validate(query, { abortEarly: false }); 
+};
+
+module.exports = {
+    validate,
+    validateUpdate,
+    validateBulk,
+    validateParams,
+    validateForbiddenQuery,
+    validateSearchQuery,
+    validatePaginationQuery,
+    validateCatalogueQuery,
+    validateAuditQuery,
+    validateImportQuery,
+    validateExportQuery
+};
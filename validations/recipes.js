@@ -0,0 +1,94 @@
+const Joi = require('joi');
+const { objectId, day, time, pagination } = require('./common');
+const { MEALS } = require('../services/diary');
+
+const MAX_INGREDIENTS = 50;
+
+const grams = Joi.number().positive().messages({
+    'number.base': '{{#label}} must be a number',
+    'number.positive': '{{#label}} must be a positive number',
+    'any.required': '{{#label}} is required'
+});
+
+const title = Joi.string().trim().min(1).max(100).messages({
+    'string.empty': '{{#label}} is required',
+    'string.max': '{{#label}} must be at most {#limit} characters',
+    'any.required': '{{#label}} is required'
+});
+
+const ingredients = Joi.array().items(Joi.object({
+    productId: objectId.required().messages({
+        'any.required': '{{#label}} is required'
+    }),
+    weight: grams.required()
+})).min(1).max(MAX_INGREDIENTS).unique('productId').messages({
+    'array.min': 'A recipe needs at least one ingredient',
+    'array.max': `A recipe can have at most ${MAX_INGREDIENTS} ingredients`,
+    'array.unique': 'Each product can only be an ingredient once, add up its weights instead',
+    'any.required': '{{#label}} is required'
+});
+
+const servings = Joi.number().positive().max(100).messages({
+    'number.base': '{{#label}} must be a number',
+    'number.positive': '{{#label}} must be a positive number',
+    'number.max': '{{#label}} must be at most {#limit}'
+});
+
+const createRecipeSchema = Joi.object({
+    title: title.required(),
+    ingredients: ingredients.required(),
+    servings: servings.default(1),
+    yield_weight: grams.allow(null)
+});
+
+const updateRecipeSchema = Joi.object({
+    title,
+    ingredients,
+    servings,
+    yield_weight: grams.allow(null)
+}).min(1).messages({
+    'object.min': 'Nothing to update'
+});
+
+const recipeParamsSchema = Joi.object({
+    recipeId: objectId.required()
+});
+
+const recipeListSchema = Joi.object({
+    ...pagination
+});
+
+// A portion is given either in servings or in grams of the cooked dish
+const logRecipeSchema = Joi.object({
+    servings,
+    product_weight: grams,
+    meal: Joi.string().valid(...MEALS).default('snack').messages({
+        'any.only': `{{#label}} must be one of the following: ${MEALS.join(', ')}`
+    }),
+    date: day,
+    time
+}).oxor('servings', 'product_weight').messages({
+    'object.oxor': 'Send either servings or product_weight, not both'
+});
+
+const validateCreate = (recipe) => {
+    return createRecipeSchema.validate(recipe, { abortEarly: false });
+};
+
+const validateUpdate = (recipe) => {
+    return updateRecipeSchema.validate(recipe, { abortEarly: false });
+};
+
+const validateParams = (params) => {
+    return recipeParamsSchema.validate(params, { abortEarly: false });
+};
+
+const validateListQuery = (query) => {
+    return recipeListSchema.validate(query, { abortEarly: false });
+};
+
+const validateLog = (body) => {
+    return logRecipeSchema.validate(body, { abortEarly: false });
+};
+
+module.exports = { validateCreate, validateUpdate, validateParams, validateListQuery, validateLog };
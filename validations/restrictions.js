@@ -0,0 +1,26 @@
+const Joi = require('joi');
+const { DIETS } = require('../services/restrictions');
+
+const ruleParamsSchema = Joi.object({
+    restriction: Joi.string().valid(...DIETS).required().messages({
+        'any.only': `{{#label}} must be one of the following: ${DIETS.join(', ')}`
+    })
+});
+
+const ruleSchema = Joi.object({
+    categories: Joi.array().items(Joi.string().trim().min(1).max(100)).max(100).unique().required().messages({
+        'array.max': 'At most {#limit} categories can be listed',
+        'array.unique': '{{#label}} is listed twice',
+        'any.required': '{{#label}} is required'
+    })
+});
+
+const validateRuleParams = (params) => {
+    return ruleParamsSchema.validate(params, { abortEarly: false });
+};
+
+const validateRule = (body) => {
+    return ruleSchema.validate(body, { abortEarly: false });
+};
+
+module.exports = { validateRuleParams, validateRule };
@@ -1,39 +1,52 @@
 const Joi = require('joi');
+const { dayParam } = require('./common');
+const { addDays } = require('../services/timezone');
 
-const objectId = Joi.string().length(24).hex().message('Invalid ObjectId format');
-
-const summarySchema = Joi.object({
-    userId: objectId.required(),
-    summaryInfo: Joi.array().items(Joi.object({
-        diaryId: objectId.required(),
-        daily_left: Joi.number().min(0).required().messages({
-            'number.base': '{{#label}} must be a number',
-            'number.min': '{{#label}} must be at least 0',
-            'any.required': '{{#label}} is required'
-        }),
-        daily_consumed: Joi.number().min(0).required().messages({
-            'number.base': '{{#label}} must be a number',
-            'number.min': '{{#label}} must be at least 0',
-            'any.required': '{{#label}} is required'
-        }),
-        daily_rate: Joi.number().min(0).default(2800).messages({
-            'number.base': '{{#label}} must be a number',
-            'number.min': '{{#label}} must be at least 0'
-        }),
-        percentage: Joi.number().min(0).max(100).required().messages({
-            'number.base': '{{#label}} must be a number',
-            'number.min': '{{#label}} must be at least 0',
-            'number.max': '{{#label}} cannot exceed 100%',
-            'any.required': '{{#label}} is required'
-        })
-    })).required().messages({
-        'array.base': '{{#label}} must be an array of objects',
+const MAX_RANGE_DAYS = 366;
+
+const dayParamsSchema = Joi.object({
+    date: dayParam.required()
+});
+
+const dayQuerySchema = Joi.object({
+    groupBy: Joi.string().valid('meal').messages({
+        'any.only': 'Summary can only be grouped by meal'
+    })
+});
+
+const inRange = (value, helpers) => {
+    if (value.from > value.to || addDays(value.from, MAX_RANGE_DAYS - 1) < value.to) {
+        return helpers.error('any.invalid');
+    }
+    return value;
+};
+
+const rangeQuerySchema = Joi.object({
+    from: dayParam.required().messages({
+        'any.required': '{{#label}} is required'
+    }),
+    to: dayParam.required().messages({
         'any.required': '{{#label}} is required'
+    }),
+    top: Joi.number().integer().min(1).max(50).default(10).messages({
+        'number.base': '{{#label}} must be a number',
+        'number.min': '{{#label}} must be between 1 and 50',
+        'number.max': '{{#label}} must be between 1 and 50'
     })
+}).custom(inRange).messages({
+    'any.invalid': `from must be before to and the range at most ${MAX_RANGE_DAYS} days`
 });
 
-const validate = (summery) => {
-    return summarySchema.validate(summery, { abortEarly: false });
+const validateDayParams = (params) => {
+    return dayParamsSchema.validate(params, { abortEarly: false });
+};
+
+const validateDayQuery = (query) => {
+    return dayQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateRangeQuery = (query) => {
+    return rangeQuerySchema.validate(query, { abortEarly: false });
 };
 
-module.exports = validate;
+module.exports = { validateDayParams, validateDayQuery, validateRangeQuery };
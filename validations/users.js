@@ -1,4 +1,22 @@
 const Joi = require('joi');
+const { calculatorFields } = require('./calculator');
+const { objectId } = require('./common');
+const { isTimeZone } = require('../services/timezone');
+const { DIETS } = require('../services/restrictions');
+
+const timeZone = (value, helpers) => {
+    return isTimeZone(value) ? value : helpers.error('any.invalid');
+};
+
+const macroTotal = (value, helpers) => {
+    return value.protein + value.fat + value.carbohydrate === 100 ? value : helpers.error('any.invalid');
+};
+
+const macroPercentage = Joi.number().integer().min(0).max(100).messages({
+    'number.min': `{{#label}} must be a percentage between 0 and 100`,
+    'number.max': `{{#label}} must be a percentage between 0 and 100`,
+    'any.required': `{{#label}} is required`
+});
 
 const registerSchema = Joi.object({
     name: Joi.string().min(3).max(20).required().messages({
@@ -29,6 +47,111 @@ const loginSchema = Joi.object({
     }),
 });
 
+const refreshSchema = Joi.object({
+    refreshToken: Joi.string().hex().length(96).required().messages({
+        'string.hex': `{{#label}} is not a valid refresh token`,
+        'string.length': `{{#label}} is not a valid refresh token`,
+        'any.required': `{{#label}} is required`
+    }),
+});
+
+const forgotPasswordSchema = Joi.object({
+    email: Joi.string().email().required().messages({
+        'string.email': `{{#label}} must be followed by a '.' domain suffix. For example, adrian@gmail.com`,
+        'any.required': `{{#label}} is required`,
+    }),
+});
+
+const verificationTokenSchema = Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+        'string.hex': `{{#label}} is not a valid verification token`,
+        'string.length': `{{#label}} is not a valid verification token`,
+        'any.required': `{{#label}} is required`
+    }),
+});
+
+const resetPasswordSchema = Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+        'string.hex': `{{#label}} is not a valid reset token`,
+        'string.length': `{{#label}} is not a valid reset token`,
+        'any.required': `{{#label}} is required`
+    }),
+    password: Joi.string().min(6).max(60).required().messages({
+        'string.min': `{{#label}} should have a minimum length of {#limit}`,
+        'string.max': `{{#label}} should have a maximum length of {#limit}`,
+        'any.required': `{{#label}} is required`
+    }),
+});
+
+const changePasswordSchema = Joi.object({
+    oldPassword: Joi.string().min(6).max(60).required().messages({
+        'string.min': `{{#label}} should have a minimum length of {#limit}`,
+        'string.max': `{{#label}} should have a maximum length of {#limit}`,
+        'any.required': `{{#label}} is required`
+    }),
+    newPassword: Joi.string().min(6).max(60).required().messages({
+        'string.min': `{{#label}} should have a minimum length of {#limit}`,
+        'string.max': `{{#label}} should have a maximum length of {#limit}`,
+        'any.required': `{{#label}} is required`
+    }),
+});
+
+const profileSchema = Joi.object({
+    name: Joi.string().min(3).max(20).messages({
+        'string.min': `{{#label}} should have a minimum length of {#limit}`,
+        'string.max': `{{#label}} should have a maximum length of {#limit}`
+    }),
+    email: Joi.string().email().messages({
+        'string.email': `{{#label}} must be followed by a '.' domain suffix. For example, adrian@gmail.com`
+    }),
+    sex: calculatorFields.sex,
+    birthDate: Joi.date().iso()
+        .max(new Date(new Date().setFullYear(new Date().getFullYear() - 18)))
+        .min(new Date(new Date().setFullYear(new Date().getFullYear() - 120)))
+        .messages({
+            'date.format': `{{#label}} must be a date in YYYY-MM-DD format`,
+            'date.max': `{{#label}} must be at least 18 years ago`,
+            'date.min': `{{#label}} must be at most 120 years ago`
+        }),
+    height: calculatorFields.height,
+    current_weight: calculatorFields.current_weight,
+    desired_weight: calculatorFields.desired_weight,
+    blood_type: calculatorFields.blood_type,
+    activity: calculatorFields.activity,
+    formula: calculatorFields.formula,
+    units: Joi.string().valid('metric', 'imperial').messages({
+        'any.only': `{{#label}} must be one of the following: 'metric', 'imperial'`
+    }),
+    timezone: Joi.string().custom(timeZone).messages({
+        'any.invalid': `{{#label}} must be an IANA time zone, for example Europe/Bucharest`
+    }),
+    macro_targets: Joi.object({
+        protein: macroPercentage.required(),
+        fat: macroPercentage.required(),
+        carbohydrate: macroPercentage.required(),
+    }).custom(macroTotal).messages({
+        'any.invalid': `{{#label}} percentages must add up to 100`
+    }),
+    blood_type_check: Joi.string().valid('warn', 'reject').messages({
+        'any.only': `{{#label}} must be one of the following: 'warn', 'reject'`
+    }),
+    restrictions: Joi.object({
+        diets: Joi.array().items(Joi.string().valid(...DIETS)).unique().messages({
+            'any.only': `{{#label}} must be one of the following: ${DIETS.join(', ')}`,
+            'array.unique': `{{#label}} is listed twice`
+        }),
+        excludedCategories: Joi.array().items(Joi.string().trim().min(1).max(100)).max(50).messages({
+            'array.max': `At most {#limit} categories can be excluded`
+        }),
+    }),
+}).min(1).messages({
+    'object.min': `At least one field is required`
+});
+
+
+const sessionParamsSchema = Joi.object({
+    sessionId: objectId.required()
+});
 
 const validateRegistration = (user) => {
     return registerSchema.validate(user, { abortEarly: false }); 
@@ -38,4 +161,42 @@ const validateLogin = (user) => {
     return loginSchema.validate(user, { abortEarly: false }); 
 };
 
-module.exports = { validateRegistration, validateLogin };
+const validateRefresh = (body) => {
+    return refreshSchema.validate(body, { abortEarly: false }); 
+};
+
+const validateVerificationToken = (params) => {
+    return verificationTokenSchema.validate(params, { abortEarly: false }); 
+};
+
+const validateForgotPassword = (body) => {
+    return forgotPasswordSchema.validate(body, { abortEarly: false }); 
+};
+
+const validateResetPassword = (body) => {
+    return resetPasswordSchema.validate(body, { abortEarly: false }); 
+};
+
+const validateChangePassword = (body) => {
+    return changePasswordSchema.validate(body, { abortEarly: false }); 
+};
+
+const validateProfile = (body) => {
+    return profileSchema.validate(body, { abortEarly: false }); 
+};
+
+const validateSessionParams = (params) => {
+    return sessionParamsSchema.validate(params, { abortEarly: false }); 
+};
+
+module.exports = {
+    validateSessionParams,
+    validateRegistration,
+    validateLogin,
+    validateRefresh,
+    validateVerificationToken,
+    validateForgotPassword,
+    validateResetPassword,
+    validateChangePassword,
+    validateProfile
+};
@@ -0,0 +1,45 @@
+const Joi = require('joi');
+const { objectId, day } = require('./common');
+
+const date = day;
+
+const weight = Joi.number().min(30).max(500).precision(1).messages({
+    'number.base': '{{#label}} must be a number',
+    'number.min': '{{#label}} should be at least {#limit} kg',
+    'number.max': '{{#label}} should be at most {#limit} kg',
+    'any.required': '{{#label}} is required'
+});
+
+const note = Joi.string().max(200).allow('');
+
+const createWeightSchema = Joi.object({
+    date,
+    weight: weight.required(),
+    note
+});
+
+const updateWeightSchema = Joi.object({
+    date,
+    weight,
+    note
+}).min(1).messages({
+    'object.min': 'At least one field is required'
+});
+
+const weightParamsSchema = Joi.object({
+    weightId: objectId.required()
+});
+
+const validateCreate = (entry) => {
+    return createWeightSchema.validate(entry, { abortEarly: false });
+};
+
+const validateUpdate = (entry) => {
+    return updateWeightSchema.validate(entry, { abortEarly: false });
+};
+
+const validateParams = (params) => {
+    return weightParamsSchema.validate(params, { abortEarly: false });
+};
+
+module.exports = { validateCreate, validateUpdate, validateParams };